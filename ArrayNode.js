@@ -9,7 +9,7 @@
  */
 
 // Ouroboros
-import { afindi, clone, combine, ucfirst } from '@ouroboros/tools';
+import { afindi, clone, combine, empty, isObject, ucfirst } from '@ouroboros/tools';
 import FormatOC from 'format-oc';
 
 // NPM modules
@@ -28,6 +28,9 @@ import { red } from '@mui/material/colors';
 // Components
 import Child from './Child';
 
+// Format modules
+import { errorTree } from './Shared';
+
 /**
  * Array Node
  *
@@ -47,8 +50,12 @@ export default class ArrayNode extends React.Component {
 		// Store the child node
 		this.child = this.props.node.child();
 
-		// Init node refs
+		// Init node refs, and the element matched in search mode
 		this.nodes = {};
+		this.search = null;
+
+		// Init the key of the element being dragged
+		this.dragKey = null;
 
 		// Get the react display properties
 		let oReact = this.props.node.special('ui') || {}
@@ -61,9 +68,16 @@ export default class ArrayNode extends React.Component {
 		// The type
 		let sType = 'type' in oReact ? oReact.type : null;
 
+		// Store the minimum and maximum number of elements allowed
+		let oMinMax = this.props.node.minmax();
+		this.minimum = oMinMax.minimum || null;
+		this.maximum = oMinMax.maximum || null;
+
 		// Init state
 		this.state = {
 			custom: null,
+			dragOver: null,
+			error: false,
 			nodeClass: this.child.class(),
 			display: oReact,
 			elements: this.props.value.map(v => {
@@ -74,16 +88,32 @@ export default class ArrayNode extends React.Component {
 			})
 		}
 
-		// If we have a custom Node
-		if(sType && sType in ArrayNode._registered) {
+		// If we have a custom Node, and we're not searching
+		if(sType && sType in ArrayNode._registered && this.props.type !== 'search') {
 			this.state.custom = ArrayNode._registered[sType];
 			this.state.customProps = oReact.props || {};
 		}
+
+		// Else, if we're creating and there's a minimum, add empty elements
+		//	until we reach it
+		else if(this.props.type === 'create' && this.minimum !== null) {
+			while(this.state.elements.length < this.minimum) {
+				this.state.elements.push({
+					value: null,
+					key: uuidv4()
+				});
+			}
+		}
 	}
 
 	// Called to add new array element
 	add() {
 
+		// If we're already at the maximum, do nothing
+		if(this.atMaximum()) {
+			return;
+		}
+
 		// Clone the current elements
 		let lElements = clone(this.state.elements);
 
@@ -97,18 +127,220 @@ export default class ArrayNode extends React.Component {
 		this.setState({elements: lElements});
 	}
 
+	// Returns true if no more elements can be added
+	atMaximum() {
+		return this.maximum !== null &&
+				this.state.elements.length >= this.maximum;
+	}
+
+	// Returns true if no more elements can be removed
+	atMinimum() {
+		return this.minimum !== null &&
+				this.state.elements.length <= this.minimum;
+	}
+
+	// Called when an element is being dragged
+	dragStart(ev, key) {
+
+		// Store the key being dragged
+		this.dragKey = key;
+
+		// Set the transfer data, required by some browsers to allow dragging
+		ev.dataTransfer.effectAllowed = 'move';
+		ev.dataTransfer.setData('text/plain', key);
+	}
+
+	// Called when the dragged element passes over another element
+	dragOver(ev, key) {
+
+		// If we aren't dragging one of our own elements, do nothing
+		if(!this.dragKey) {
+			return;
+		}
+
+		// Allow the drop
+		ev.preventDefault();
+		ev.dataTransfer.dropEffect = 'move';
+
+		// If the element changed, mark it
+		if(this.state.dragOver !== key) {
+			this.setState({dragOver: key});
+		}
+	}
+
+	// Called when the drag finishes, dropped or not
+	dragEnd() {
+		this.dragKey = null;
+		this.setState({dragOver: null});
+	}
+
+	// Called when an element is dropped on another element
+	drop(ev, key) {
+
+		// If we aren't dragging one of our own elements, do nothing
+		if(!this.dragKey) {
+			return;
+		}
+
+		// Stop the browser from handling the drop
+		ev.preventDefault();
+
+		// Move the dragged element to the index of the one it was dropped on
+		this.moveTo(this.dragKey, afindi(this.state.elements, 'key', key));
+
+		// Clear the drag
+		this.dragEnd();
+	}
+
+	// Called to duplicate an existing element
+	duplicate(key) {
+
+		// If we're already at the maximum, do nothing
+		if(this.atMaximum()) {
+			return;
+		}
+
+		// Find the index
+		let iIndex = afindi(this.state.elements, 'key', key);
+
+		// If it's found
+		if(iIndex > -1) {
+
+			// Clone the current elements
+			let lElements = clone(this.state.elements);
+
+			// Add a new element after the existing one using its current value
+			lElements.splice(iIndex + 1, 0, {
+				value: clone(this.nodes[key].value),
+				key: uuidv4()
+			});
+
+			// Set the new state
+			this.setState({elements: lElements});
+		}
+	}
+
 	error(errors) {
 
 		// If we have a custom component
 		if(this.state.custom) {
 			this.nodes.error(errors);
-		} else {
-			console.error(errors);
+			return;
+		}
+
+		// If we got a list of failures, turn it into a tree
+		if(Array.isArray(errors)) {
+			errors = errorTree(errors);
+		}
+
+		// If we didn't get an object, the error is for the array itself
+		if(!isObject(errors)) {
+			this.setState({error: errors});
+			return;
+		}
+
+		// Init the array level error
+		let mError = false;
+
+		// Go through each error
+		for(let k in errors) {
+
+			// If the key is an index of one of the elements
+			if(/^\d+$/.test(k) && parseInt(k, 10) < this.state.elements.length) {
+
+				// Pass the error to the element using its key
+				let sKey = this.state.elements[parseInt(k, 10)].key;
+				if(this.nodes[sKey]) {
+					this.nodes[sKey].error(errors[k]);
+					continue;
+				}
+			}
+
+			// Else, it's an error on the array itself
+			if(typeof errors[k] === 'string') {
+				mError = errors[k];
+			}
+		}
+
+		// Set the array level error
+		this.setState({error: mError});
+	}
+
+	// Called to insert a new element above or below an existing one
+	insert(key, below=false) {
+
+		// If we're already at the maximum, do nothing
+		if(this.atMaximum()) {
+			return;
+		}
+
+		// Find the index
+		let iIndex = afindi(this.state.elements, 'key', key);
+
+		// If it's found
+		if(iIndex > -1) {
+
+			// Clone the current elements
+			let lElements = clone(this.state.elements);
+
+			// Add a new object at the position
+			lElements.splice(below ? iIndex + 1 : iIndex, 0, {
+				value: null,
+				key: uuidv4()
+			});
+
+			// Set the new state
+			this.setState({elements: lElements});
 		}
 	}
 
+	// Called when a key is pressed on an element's drag handle
+	keyDown(ev, key) {
+		if(ev.key === 'ArrowUp') {
+			ev.preventDefault();
+			this.move(key, -1);
+		} else if(ev.key === 'ArrowDown') {
+			ev.preventDefault();
+			this.move(key, 1);
+		}
+	}
+
+	// Called to move an element up (-1) or down (1) from its current position
+	move(key, offset) {
+		this.moveTo(key, afindi(this.state.elements, 'key', key) + offset);
+	}
+
+	// Called to move an element to a specific index
+	moveTo(key, index) {
+
+		// Find the current index
+		let iIndex = afindi(this.state.elements, 'key', key);
+
+		// If it's not found, or the new index is invalid or the same, do
+		//	nothing
+		if(iIndex === -1 || index < 0 ||
+			index >= this.state.elements.length || index === iIndex) {
+			return;
+		}
+
+		// Copy the current elements, the keys don't change so each element
+		//	keeps its Component and state
+		let lElements = this.state.elements.slice();
+
+		// Pull the element out and put it back in its new position
+		lElements.splice(index, 0, lElements.splice(iIndex, 1)[0]);
+
+		// Set the new state
+		this.setState({elements: lElements});
+	}
+
 	remove(key) {
 
+		// If we're already at the minimum, do nothing
+		if(this.atMinimum()) {
+			return;
+		}
+
 		// Find the index
 		let iIndex = afindi(this.state.elements, 'key', key);
 
@@ -132,6 +364,32 @@ export default class ArrayNode extends React.Component {
 		// Reset the refs
 		this.nodes = {};
 
+		// If we're searching, there's a single element, the one at least one
+		//	of the elements in the array has to match
+		if(this.props.type === 'search') {
+			return (
+				<Box className="nodeArray search">
+					<Typography className="legend">
+						{this.state.display.title} contains element matching
+					</Typography>
+					<Box className="data">
+						{Child.create(this.state.nodeClass, {
+							label: this.props.label,
+							ref: el => this.search = el,
+							name: this.props.name,
+							node: this.child,
+							onChange: this.props.onChange ?
+								() => this.props.onChange(this.value) :
+								undefined,
+							onEnter: this.props.onEnter,
+							type: 'search',
+							validation: false
+						})}
+					</Box>
+				</Box>
+			);
+		}
+
 		// If we have a custom component
 		if(this.state.custom) {
 
@@ -157,14 +415,43 @@ export default class ArrayNode extends React.Component {
 			);
 		}
 
+		// Are we at the minimum or maximum
+		const bMax = this.atMaximum();
+		const bMin = this.atMinimum();
+
 		// Render
 		return (
 			<Box className="nodeArray">
-				{this.state.display.title &&
-					<Typography className="legend">{this.state.display.title}</Typography>
+				{(this.state.display.title || this.maximum !== null) &&
+					<Typography className="legend">
+						{this.state.display.title}
+						{this.maximum !== null &&
+							<span className="count"> ({this.state.elements.length} of {this.maximum})</span>
+						}
+					</Typography>
 				}
-				{this.state.elements.map(o =>
-					<Box key={o.key} className="element flexColumns">
+				{this.state.error &&
+					<Typography className="error">{this.state.error}</Typography>
+				}
+				{this.state.elements.map((o, i) =>
+					<Box
+						key={o.key}
+						className={'element flexColumns' + (this.state.dragOver === o.key ? ' dragOver' : '')}
+						onDragOver={ev => this.dragOver(ev, o.key)}
+						onDrop={ev => this.drop(ev, o.key)}
+					>
+						<Box
+							aria-label="Reorder, use the up and down arrow keys to move"
+							className="handle flexStatic"
+							draggable={true}
+							onDragEnd={ev => this.dragEnd()}
+							onDragStart={ev => this.dragStart(ev, o.key)}
+							onKeyDown={ev => this.keyDown(ev, o.key)}
+							role="button"
+							tabIndex={0}
+						>
+							<i className="fas fa-grip-vertical" />
+						</Box>
 						<Box className="data flexGrow">
 							{Child.create(this.state.nodeClass, {
 								ref: el => this.nodes[o.key] = el,
@@ -178,10 +465,47 @@ export default class ArrayNode extends React.Component {
 							})}
 						</Box>
 						<Box className="actions flexStatic">
+							<Tooltip title="Move up">
+								<span>
+									<IconButton aria-label="Move up" disabled={i === 0} onClick={ev => this.move(o.key, -1)}>
+										<i className="fas fa-chevron-up" />
+									</IconButton>
+								</span>
+							</Tooltip>
+							<Tooltip title="Move down">
+								<span>
+									<IconButton aria-label="Move down" disabled={i === this.state.elements.length - 1} onClick={ev => this.move(o.key, 1)}>
+										<i className="fas fa-chevron-down" />
+									</IconButton>
+								</span>
+							</Tooltip>
+							<Tooltip title="Insert above">
+								<span>
+									<IconButton aria-label="Insert above" disabled={bMax} onClick={ev => this.insert(o.key)}>
+										<i className="fas fa-caret-square-up" />
+									</IconButton>
+								</span>
+							</Tooltip>
+							<Tooltip title="Insert below">
+								<span>
+									<IconButton aria-label="Insert below" disabled={bMax} onClick={ev => this.insert(o.key, true)}>
+										<i className="fas fa-caret-square-down" />
+									</IconButton>
+								</span>
+							</Tooltip>
+							<Tooltip title="Duplicate">
+								<span>
+									<IconButton aria-label="Duplicate" disabled={bMax} onClick={ev => this.duplicate(o.key)}>
+										<i className="fas fa-copy" />
+									</IconButton>
+								</span>
+							</Tooltip>
 							<Tooltip title="Remove">
-								<IconButton onClick={ev => this.remove(o.key)}>
-									<i className="fas fa-minus-circle" style={{color: red[500]}} />
-								</IconButton>
+								<span>
+									<IconButton aria-label="Remove" disabled={bMin} onClick={ev => this.remove(o.key)}>
+										<i className="fas fa-minus-circle" style={{color: bMin ? undefined : red[500]}} />
+									</IconButton>
+								</span>
 							</Tooltip>
 						</Box>
 					</Box>
@@ -189,9 +513,11 @@ export default class ArrayNode extends React.Component {
 				<Box className="element">
 					<Box className="actions">
 						<Tooltip title="Add">
-							<IconButton onClick={ev => this.add()}>
-								<i className="fas fa-plus-circle" style={{color: green[500]}} />
-							</IconButton>
+							<span>
+								<IconButton aria-label="Add" disabled={bMax} onClick={ev => this.add()}>
+									<i className="fas fa-plus-circle" style={{color: bMax ? undefined : green[500]}} />
+								</IconButton>
+							</span>
 						</Tooltip>
 					</Box>
 				</Box>
@@ -210,54 +536,49 @@ export default class ArrayNode extends React.Component {
 			return bValid;
 		}
 
-		// Valid?
-		let bValid = true;
-
-		// Get the list of nodes
-		let lNodes = Object.values(this.nodes)
-
-		// Go through each item and validate it
-		for(let i in lNodes) {
+		// Clear any previous array level error
+		this.setState({error: false});
 
-			// Check if the current value is valid
-			if(!this.child.valid(lNodes[i].value)) {
-				lNodes[i].error(this.child.validation_failures[0][1]);
-				bValid = false;
-			}
+		// Check the entire array, and if it's invalid, route the failures to
+		//	the elements or the legend
+		let bValid = this.props.node.valid(this.value);
+		if(!bValid) {
+			this.error(this.props.node.validation_failures);
 		}
 
 		// Return valid state
 		return bValid;
 	}
 
-	// Called when value is request
+	// Called when value is request, in search mode {type: 'match', value}
 	get value() {
 
+		// If we're searching, return the element to match
+		if(this.props.type === 'search') {
+			const mValue = this.search ? this.search.value : null;
+			return empty(mValue) ? null : {type: 'match', value: mValue};
+		}
+
 		// If we have a custom component
 		if(this.state.custom) {
 			return this.nodes.value;
 		}
 
-		// Init the return value
-		let lRet = [];
-
-		// Get the list of nodes
-		let lNodes = Object.values(this.nodes)
-
-		// Go through all the fields used
-		for(let i in lNodes) {
-
-			// Get the new value
-			lRet.push(lNodes[i].value);
-		}
-
-		// Return the values
-		return lRet;
+		// Return the value of each node in the current order of the elements
+		return this.state.elements.map(o => this.nodes[o.key].value);
 	}
 
 	// Called when new value is passed
 	set value(val) {
 
+		// If we're searching, set the element to match
+		if(this.props.type === 'search') {
+			if(this.search && isObject(val) && val.type === 'match') {
+				this.search.value = val.value;
+			}
+			return;
+		}
+
 		// If we have a custom component
 		if(this.state.custom) {
 			this.nodes.value = val;
@@ -300,6 +621,7 @@ ArrayNode.propTypes = {
 	label: PropTypes.oneOf(['above', 'none', 'placeholder']),
 	name: PropTypes.string,
 	node: PropTypes.instanceOf(FormatOC.Array).isRequired,
+	onChange: PropTypes.func,
 	onEnter: PropTypes.func,
 	placeholder: PropTypes.string,
 	type: PropTypes.oneOf(['create', 'search', 'update']).isRequired,
@@ -0,0 +1,325 @@
+/**
+ * Export
+ *
+ * Methods for generating and downloading files from rows of text
+ *
+ * @author Chris Nasr <chris@ouroboroscoding.com>
+ * @copyright Ouroboros Coding Inc.
+ * @created 2026-10-19
+ */
+
+// NPM modules
+import { createObjectCsvStringifier } from 'csv-writer-browser';
+
+// Private variables
+const _crcTable = [];
+for(let n = 0; n < 256; ++n) {
+	let c = n;
+	for(let k = 0; k < 8; ++k) {
+		c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+	}
+	_crcTable[n] = c >>> 0;
+}
+
+/**
+ * Column Name
+ *
+ * Returns the spreadsheet name of a column from its index, e.g. 0 => A,
+ * 26 => AA
+ *
+ * @name columnName
+ * @access private
+ * @param Number index The index of the column
+ * @returns String
+ */
+function columnName(index) {
+	let s = '';
+	for(++index; index > 0; index = Math.floor((index - 1) / 26)) {
+		s = String.fromCharCode(65 + ((index - 1) % 26)) + s;
+	}
+	return s;
+}
+
+/**
+ * CRC32
+ *
+ * Calculates the CRC32 of an array of bytes
+ *
+ * @name crc32
+ * @access private
+ * @param Uint8Array bytes The bytes to calculate the CRC of
+ * @returns Number
+ */
+function crc32(bytes) {
+	let crc = 0xFFFFFFFF;
+	for(let i = 0; i < bytes.length; ++i) {
+		crc = _crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * XML Escape
+ *
+ * Escapes a string so it can be used as XML text, removing any characters
+ * that aren't allowed in XML
+ *
+ * @name xmlEscape
+ * @access private
+ * @param String text The text to escape
+ * @returns String
+ */
+function xmlEscape(text) {
+	return String(text)
+		.replace(/[^\t\n\r\u0020-\uFFFF]/g, '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+/**
+ * Zip
+ *
+ * Generates an uncompressed zip archive from a list of files
+ *
+ * @name zip
+ * @access private
+ * @param Object[] files List of {name, data} where data is a string
+ * @returns Uint8Array
+ */
+function zip(files) {
+
+	// Init the encoder, the parts, and the central directory
+	const oEncoder = new TextEncoder();
+	let lParts = [];
+	let lCentral = [];
+	let iOffset = 0;
+
+	// Go through each file
+	for(let o of files) {
+
+		// Encode the name and data
+		let aName = oEncoder.encode(o.name);
+		let aData = oEncoder.encode(o.data);
+		let iCrc = crc32(aData);
+
+		// Generate the local file header
+		let aLocal = new Uint8Array(30 + aName.length);
+		let oLocal = new DataView(aLocal.buffer);
+		oLocal.setUint32(0, 0x04034B50, true);
+		oLocal.setUint16(4, 20, true);
+		oLocal.setUint16(6, 0x0800, true);
+		oLocal.setUint32(14, iCrc, true);
+		oLocal.setUint32(18, aData.length, true);
+		oLocal.setUint32(22, aData.length, true);
+		oLocal.setUint16(26, aName.length, true);
+		aLocal.set(aName, 30);
+
+		// Generate the central directory entry
+		let aCentral = new Uint8Array(46 + aName.length);
+		let oCentral = new DataView(aCentral.buffer);
+		oCentral.setUint32(0, 0x02014B50, true);
+		oCentral.setUint16(4, 20, true);
+		oCentral.setUint16(6, 20, true);
+		oCentral.setUint16(8, 0x0800, true);
+		oCentral.setUint32(16, iCrc, true);
+		oCentral.setUint32(20, aData.length, true);
+		oCentral.setUint32(24, aData.length, true);
+		oCentral.setUint16(28, aName.length, true);
+		oCentral.setUint32(42, iOffset, true);
+		aCentral.set(aName, 46);
+
+		// Add the parts and move the offset
+		lParts.push(aLocal, aData);
+		lCentral.push(aCentral);
+		iOffset += aLocal.length + aData.length;
+	}
+
+	// Generate the end of central directory record
+	let iCentralSize = lCentral.reduce((i, a) => i + a.length, 0);
+	let aEnd = new Uint8Array(22);
+	let oEnd = new DataView(aEnd.buffer);
+	oEnd.setUint32(0, 0x06054B50, true);
+	oEnd.setUint16(8, files.length, true);
+	oEnd.setUint16(10, files.length, true);
+	oEnd.setUint32(12, iCentralSize, true);
+	oEnd.setUint32(16, iOffset, true);
+
+	// Combine everything into one array
+	lParts = lParts.concat(lCentral, [aEnd]);
+	let aRet = new Uint8Array(iOffset + iCentralSize + aEnd.length);
+	let i = 0;
+	for(let a of lParts) {
+		aRet.set(a, i);
+		i += a.length;
+	}
+
+	// Return the archive
+	return aRet;
+}
+
+/**
+ * CSV
+ *
+ * Generates a CSV file from the header and rows
+ *
+ * @name csv
+ * @access public
+ * @param String[] header The titles of each column
+ * @param String[][] rows The text of each cell in each row
+ * @returns String
+ */
+export function csv(header, rows) {
+
+	// Create the CSV write instance
+	let csvStringifier = createObjectCsvStringifier({
+		header: header.map((s, i) => ({id: i.toString(), title: s}))
+	});
+
+	// Return the "file"
+	return csvStringifier.getHeaderString() +
+			csvStringifier.stringifyRecords(rows.map(l =>
+				l.reduce((o, s, i) => Object.assign(o, {[i]: s}), {})
+			));
+}
+
+/**
+ * Download
+ *
+ * Sends data to the user as a file by generating and clicking a fake link
+ *
+ * @name download
+ * @access public
+ * @param String|Uint8Array data The contents of the file
+ * @param String type The mime type of the file
+ * @param String filename The name of the file
+ */
+export function download(data, type, filename) {
+
+	// Create a URL for the data
+	let sUrl = URL.createObjectURL(new Blob([data], {type: type}));
+
+	// Export by generating and clicking a fake link
+	let link = document.createElement('a');
+	link.setAttribute('href', sUrl);
+	link.setAttribute('download', filename);
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+
+	// Release the URL
+	setTimeout(() => URL.revokeObjectURL(sUrl), 0);
+}
+
+/**
+ * JSON
+ *
+ * Generates a JSON file from the header and rows, each row becoming an
+ * object using the header as keys
+ *
+ * @name json
+ * @access public
+ * @param String[] header The titles of each column
+ * @param String[][] rows The text of each cell in each row
+ * @returns String
+ */
+export function json(header, rows) {
+	return JSON.stringify(rows.map(l =>
+		l.reduce((o, s, i) => Object.assign(o, {[header[i]]: s}), {})
+	), null, '\t');
+}
+
+/**
+ * TSV
+ *
+ * Generates a tab separated file from the header and rows. Tabs and
+ * newlines in the text are replaced by spaces
+ *
+ * @name tsv
+ * @access public
+ * @param String[] header The titles of each column
+ * @param String[][] rows The text of each cell in each row
+ * @returns String
+ */
+export function tsv(header, rows) {
+	return [header].concat(rows).map(l =>
+		l.map(s => String(s).replace(/[\t\r\n]+/g, ' ')).join('\t')
+	).join('\n') + '\n';
+}
+
+/**
+ * XLSX
+ *
+ * Generates a single sheet Excel workbook from the header and rows. Cells in
+ * numeric columns that contain only a number are stored as numbers,
+ * everything else as text, so codes like "007" keep their leading zeros
+ *
+ * @name xlsx
+ * @access public
+ * @param String[] header The titles of each column
+ * @param String[][] rows The text of each cell in each row
+ * @param String sheet Optional, the name of the sheet
+ * @param Boolean[] numeric Optional, which columns hold numbers
+ * @returns Uint8Array
+ */
+export function xlsx(header, rows, sheet='Sheet1', numeric=[]) {
+
+	// Generate the rows of the sheet
+	let lRows = [header].concat(rows).map((l, r) =>
+		`<row r="${r + 1}">` + l.map((s, c) => {
+			let sRef = columnName(c) + (r + 1);
+			if(r > 0 && numeric[c] && /^-?\d+(\.\d+)?$/.test(s)) {
+				return `<c r="${sRef}"><v>${s}</v></c>`;
+			}
+			return `<c r="${sRef}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(s)}</t></is></c>`;
+		}).join('') + '</row>'
+	);
+
+	// Generate and return the archive
+	return zip([
+		{name: '[Content_Types].xml', data:
+			'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+			'<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+			'<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+			'<Default Extension="xml" ContentType="application/xml"/>' +
+			'<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+			'<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+			'</Types>'
+		},
+		{name: '_rels/.rels', data:
+			'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+			'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+			'<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+			'</Relationships>'
+		},
+		{name: 'xl/workbook.xml', data:
+			'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+			'<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+			`<sheets><sheet name="${xmlEscape(sheet.substring(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+			'</workbook>'
+		},
+		{name: 'xl/_rels/workbook.xml.rels', data:
+			'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+			'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+			'<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+			'</Relationships>'
+		},
+		{name: 'xl/worksheets/sheet1.xml', data:
+			'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+			'<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+			'<sheetData>' + lRows.join('') + '</sheetData>' +
+			'</worksheet>'
+		}
+	]);
+}
+
+// Default export
+const Export = {
+	csv: csv,
+	download: download,
+	json: json,
+	tsv: tsv,
+	xlsx: xlsx
+};
+export default Export;
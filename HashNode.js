@@ -9,24 +9,272 @@
  */
 
 // Ouroboros
-import { combine, ucfirst } from '@ouroboros/tools';
+import { afindi, clone, combine, isObject, ucfirst } from '@ouroboros/tools';
 import FormatOC from 'format-oc';
 
 // NPM modules
 import PropTypes from 'prop-types';
 import React from 'react';
+import { v4 as uuidv4 } from 'uuid';
 
 // Material UI
 import Box from '@mui/material/Box';
+import IconButton from '@mui/material/IconButton';
+import Tooltip from '@mui/material/Tooltip';
 import Typography from '@mui/material/Typography';
+import { green } from '@mui/material/colors';
+import { red } from '@mui/material/colors';
 
 // Components
 import Child from './Child';
 
+// Format modules
+import { errorTree } from './Shared';
+
+/**
+ * Hash Node Editor
+ *
+ * Default key/value editor used by HashNode when no custom "type" is set
+ *
+ * @name HashNodeEditor
+ * @access private
+ * @extends React.Component
+ */
+class HashNodeEditor extends React.Component {
+
+	constructor(props) {
+
+		// Call parent
+		super(props);
+
+		// Store the key and value nodes
+		this.keyNode = props.node._key;
+		this.child = props.node.child();
+
+		// Init the refs
+		this.keys = {};
+		this.values = {};
+
+		// Init state
+		this.state = {
+			elements: this.generateElements(props.value),
+			error: false,
+			nodeClass: this.child.class()
+		}
+	}
+
+	// Called to add a new key/value pair
+	add() {
+
+		// Clone the current elements
+		let lElements = clone(this.state.elements);
+
+		// Add a new object
+		lElements.push({
+			hashKey: null,
+			key: uuidv4(),
+			value: null
+		});
+
+		// Set the new state
+		this.setState({elements: lElements});
+	}
+
+	// Called to set error(s)
+	error(errors) {
+
+		// If we got a list of failures, turn it into a tree
+		if(Array.isArray(errors)) {
+			errors = errorTree(errors);
+		}
+
+		// If we didn't get an object, the error is for the hash itself
+		if(!isObject(errors)) {
+			this.setState({error: errors});
+			return;
+		}
+
+		// Init the hash level error
+		let mError = false;
+
+		// Go through each error
+		for(let k in errors) {
+
+			// Find the element using the key
+			let oElement = this.state.elements.find(o =>
+				this.keys[o.key] && String(this.keys[o.key].value) === k
+			);
+
+			// If it's not found, it's an error on the hash itself
+			if(!oElement) {
+				if(typeof errors[k] === 'string') {
+					mError = errors[k];
+				}
+				continue;
+			}
+
+			// If the key itself is invalid
+			if(typeof errors[k] === 'string' && errors[k].startsWith('invalid key')) {
+				this.keys[oElement.key].error('invalid');
+			}
+
+			// Else, pass it to the value
+			else {
+				this.values[oElement.key].error(errors[k]);
+			}
+		}
+
+		// Set the hash level error
+		this.setState({error: mError});
+	}
+
+	// Generates the list of elements from a hash value
+	generateElements(value) {
+		return Object.keys(value || {}).map(k => {
+			return {
+				hashKey: k,
+				key: uuidv4(),
+				value: value[k]
+			}
+		});
+	}
+
+	// Called to remove a key/value pair
+	remove(key) {
+
+		// Find the index
+		let iIndex = afindi(this.state.elements, 'key', key);
+
+		// If it's found
+		if(iIndex > -1) {
+
+			// Clone the current elements
+			let lElements = clone(this.state.elements);
+
+			// Remove the deleted index
+			delete this.keys[lElements[iIndex].key];
+			delete this.values[lElements[iIndex].key];
+			lElements.splice(iIndex, 1);
+
+			// Set the new state
+			this.setState({elements: lElements});
+		}
+	}
+
+	render() {
+
+		// Reset the refs
+		this.keys = {};
+		this.values = {};
+
+		// Render
+		return (
+			<React.Fragment>
+				{this.state.error &&
+					<Typography className="error">{this.state.error}</Typography>
+				}
+				{this.state.elements.map(o =>
+					<Box key={o.key} className="element flexColumns">
+						<Box className="key flexStatic">
+							{Child.create('Node', {
+								label: this.props.label,
+								ref: el => this.keys[o.key] = el,
+								name: 'key',
+								node: this.keyNode,
+								onEnter: this.props.onEnter,
+								type: this.props.type,
+								value: o.hashKey,
+								validation: this.props.validation,
+								variant: this.props.nodeVariant
+							})}
+						</Box>
+						<Box className="data flexGrow">
+							{Child.create(this.state.nodeClass, {
+								label: this.props.label,
+								ref: el => this.values[o.key] = el,
+								name: 'value',
+								node: this.child,
+								nodeVariant: this.props.nodeVariant,
+								onEnter: this.props.onEnter,
+								returnAll: true,
+								type: this.props.type,
+								value: o.value,
+								validation: this.props.validation,
+								variant: this.props.nodeVariant
+							})}
+						</Box>
+						<Box className="actions flexStatic">
+							<Tooltip title="Remove">
+								<IconButton onClick={ev => this.remove(o.key)}>
+									<i className="fas fa-minus-circle" style={{color: red[500]}} />
+								</IconButton>
+							</Tooltip>
+						</Box>
+					</Box>
+				)}
+				<Box className="element">
+					<Box className="actions">
+						<Tooltip title="Add">
+							<IconButton onClick={ev => this.add()}>
+								<i className="fas fa-plus-circle" style={{color: green[500]}} />
+							</IconButton>
+						</Tooltip>
+					</Box>
+				</Box>
+			</React.Fragment>
+		);
+	}
+
+	// Called when value is request
+	get value() {
+
+		// Init the return value
+		let oRet = {};
+
+		// Go through each element
+		for(let o of this.state.elements) {
+
+			// Get the key, if there's none, skip the element
+			let mKey = this.keys[o.key].value;
+			if(mKey === null) {
+				continue;
+			}
+
+			// Add the value under the key
+			oRet[mKey] = this.values[o.key].value;
+		}
+
+		// Return the hash
+		return oRet;
+	}
+
+	// Called when new value is passed
+	set value(val) {
+
+		// Regenerate the state
+		this.setState({
+			elements: this.generateElements(val),
+			error: false
+		});
+	}
+}
+
+// Valid props
+HashNodeEditor.propTypes = {
+	label: PropTypes.oneOf(['above', 'none', 'placeholder']),
+	node: PropTypes.instanceOf(FormatOC.Hash).isRequired,
+	nodeVariant: PropTypes.oneOf(['filled', 'outlined', 'standard']),
+	onEnter: PropTypes.func,
+	type: PropTypes.oneOf(['create', 'update']).isRequired,
+	value: PropTypes.object,
+	validation: PropTypes.bool
+}
+
 /**
  * Hash Node
  *
- * Handles array types with the ability to add / remove elements
+ * Handles hash types using either a registered Component or the default
+ * key/value editor
  *
  * @name HashNode
  * @access public
@@ -50,19 +298,22 @@ export default class HashNode extends React.Component {
 			oReact.title = ucfirst(props.name);
 		}
 
-		// If the type is not set
-		if(!('type' in oReact)) {
-			throw new Error('Custom "type" must be set for Hash nodes as there is no standard implementation for them.');
-		}
+		// Use the default editor unless a type is set
+		let oComponent = HashNodeEditor;
+		if('type' in oReact) {
+
+			// If there is no registered Component for the type
+			if(!(oReact.type in HashNode._registered)) {
+				throw new Error('No registered Component found for type: ' + oReact.type + '.');
+			}
 
-		// If there is no registered Component for the type
-		if(!(oReact.type in HashNode._registered)) {
-			throw new Error('No registered Component found for type: ' + oReact.type + '.');
+			// Use the registered Component
+			oComponent = HashNode._registered[oReact.type];
 		}
 
 		// Init state
 		this.state = {
-			component: HashNode._registered[oReact.type],
+			component: oComponent,
 			customProps: oReact.props || {},
 			display: oReact
 		}
@@ -93,6 +344,7 @@ export default class HashNode extends React.Component {
 			nodeVariant: this.props.nodeVariant,
 			onEnter: this.props.onEnter,
 			placeholder: this.props.placeholder,
+			type: this.props.type,
 			value: this.props.value,
 			validation: this.props.validation
 		});
@@ -158,6 +410,7 @@ HashNode.propTypes = {
 	label: PropTypes.oneOf(['above', 'none', 'placeholder']),
 	name: PropTypes.string,
 	node: PropTypes.instanceOf(FormatOC.Hash).isRequired,
+	nodeVariant: PropTypes.oneOf(['filled', 'outlined', 'standard']),
 	onEnter: PropTypes.func,
 	placeholder: PropTypes.string,
 	type: PropTypes.oneOf(['create', 'update']).isRequired,
@@ -168,6 +421,7 @@ HashNode.propTypes = {
 // Default props
 HashNode.defaultProps = {
 	label: 'placeholder',
+	nodeVariant: 'outlined',
 	onEnter: () => {},
 	name: '',
 	value: {},
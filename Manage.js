@@ -0,0 +1,283 @@
+/**
+ * Manage
+ *
+ * Handles searching, displaying, creating, updating, and removing records
+ *
+ * @author Chris Nasr <chris@ouroboroscoding.com>
+ * @copyright Ouroboros Coding Inc.
+ * @created 2026-10-19
+ */
+
+// Ouroboros
+import { rest } from '@ouroboros/body';
+import events from '@ouroboros/events';
+import FormatOC from 'format-oc';
+
+// NPM modules
+import PropTypes from 'prop-types';
+import React from 'react';
+
+// Material UI
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Dialog from '@mui/material/Dialog';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import Typography from '@mui/material/Typography';
+
+// Components
+import Form from './Form';
+import Results from './Results';
+import Search from './Search';
+
+/**
+ * Manage
+ *
+ * Combines Search, Results, and a create Form into a single page, keeping
+ * them in sync
+ *
+ * @name Manage
+ * @access public
+ * @extends React.Component
+ */
+export default class Manage extends React.Component {
+
+	constructor(props) {
+
+		// Call parent
+		super(props);
+
+		// Get the display options
+		let oReact = props.tree.special('ui') || {};
+
+		// Store the primary key, and the title of the records
+		this.primary = oReact.primary || '_id';
+		this.title = oReact.title || props.tree._name;
+
+		// Set the initial state, data is null until something is searched
+		this.state = {
+			count: null,
+			create: false,
+			data: props.search ? null : [],
+			page: 0
+		}
+
+		// Init the results and search
+		this.results = null;
+		this.search = null;
+
+		// Bind methods
+		this.created = this.created.bind(this);
+		this.removed = this.removed.bind(this);
+		this.searched = this.searched.bind(this);
+		this.updated = this.updated.bind(this);
+	}
+
+	componentDidMount() {
+
+		// If there's no search, and the results aren't remote, fetch all the
+		//	records
+		if(!this.props.search && !this.props.resultsProps.remote) {
+			rest.read(this.props.service, this.props.noun, {}).then(res => {
+
+				// If there's an error
+				if(res.error && !res._handled) {
+					events.trigger('error', res.error);
+				}
+
+				// If there's a warning
+				if(res.warning) {
+					events.trigger('warning', res.warning);
+				}
+
+				// If there's data
+				if(res.data) {
+					this.setState({data: res.data});
+				}
+			});
+		}
+	}
+
+	// Called after a record is created
+	created(record, res) {
+
+		// Close the dialog
+		this.setState({create: false});
+
+		// If the results are remote, fetch them again, else add the record to
+		//	the start of them
+		if(this.remote()) {
+			if(this.results) {
+				this.results.refresh();
+			}
+		} else {
+			this.setState({data: [record].concat(this.state.data || [])});
+		}
+
+		// Let the parent know
+		if(typeof this.props.formProps.success === 'function') {
+			this.props.formProps.success(record, res);
+		}
+	}
+
+	// Returns true if the results fetch their own records
+	remote() {
+		return !!(this.props.resultsProps.remote ||
+				(this.props.search && this.props.searchProps.paging));
+	}
+
+	// Called after a record is removed
+	removed(key) {
+
+		// If the results are local, remove the record from them
+		if(!this.remote()) {
+			this.setState({
+				data: (this.state.data || []).filter(o => o[this.primary] !== key)
+			});
+		}
+
+		// Let the parent know
+		if(typeof this.props.resultsProps.remove === 'function') {
+			this.props.resultsProps.remove(key);
+		}
+	}
+
+	render() {
+
+		// Get the name of the tree
+		const sName = this.props.tree._name;
+
+		// If the search pages the results, let the results fetch pages through
+		//	it
+		const oPaging = (this.props.search && this.props.searchProps.paging) ? {
+			count: this.state.count,
+			page: this.state.page,
+			remote: details => this.search.fetch(details)
+		} : {};
+
+		return (
+			<Box className={'manage _' + sName}>
+				<Box className="manage_header flexColumns">
+					<Typography className="flexGrow" variant="h5">
+						{this.props.title === true ? this.title : this.props.title}
+					</Typography>
+					{this.props.create &&
+						<Button
+							color="primary"
+							onClick={() => this.setState({create: true})}
+							variant="contained"
+						>
+							Create
+						</Button>
+					}
+				</Box>
+				{this.props.search &&
+					<Search
+						hash={sName}
+						name={sName}
+						{...this.props.searchProps}
+						noun={this.props.noun}
+						ref={el => this.search = el}
+						service={this.props.service}
+						success={this.searched}
+						tree={this.props.tree}
+					/>
+				}
+				{this.state.data !== null &&
+					<Results
+						orderBy={this.primary}
+						{...this.props.resultsProps}
+						{...oPaging}
+						data={this.state.data}
+						noun={this.props.noun}
+						ref={el => this.results = el}
+						remove={this.props.resultsProps.remove === false ? false : this.removed}
+						service={this.props.service}
+						tree={this.props.tree}
+						update={this.props.resultsProps.update === false ? false : this.updated}
+					/>
+				}
+				{this.state.create &&
+					<Dialog
+						fullWidth={true}
+						maxWidth="lg"
+						onClose={() => this.setState({create: false})}
+						open={true}
+					>
+						<DialogTitle>Create {this.title}</DialogTitle>
+						<DialogContent>
+							<Form
+								{...this.props.formProps}
+								cancel={() => this.setState({create: false})}
+								noun={this.props.noun}
+								service={this.props.service}
+								success={this.created}
+								tree={this.props.tree}
+								type="create"
+							/>
+						</DialogContent>
+					</Dialog>
+				}
+			</Box>
+		);
+	}
+
+	// Called with the records found by a search, the total count, and the
+	//	paging used
+	searched(data, count, paging) {
+
+		// Store the new data, and if the search is paged, the count and page
+		let oState = {data: data};
+		if(this.props.searchProps.paging) {
+			oState.count = count;
+			oState.page = paging.page;
+		}
+		this.setState(oState);
+
+		// Let the parent know
+		if(typeof this.props.searchProps.success === 'function') {
+			this.props.searchProps.success(data, count, paging);
+		}
+	}
+
+	// Called after a record is updated
+	updated(record) {
+
+		// If the results are local, replace the record in them
+		if(!this.remote()) {
+			this.setState({
+				data: (this.state.data || []).map(o =>
+					o[this.primary] === record[this.primary] ? record : o
+				)
+			});
+		}
+
+		// Let the parent know
+		if(typeof this.props.resultsProps.update === 'function') {
+			this.props.resultsProps.update(record);
+		}
+	}
+}
+
+// Valid props
+Manage.propTypes = {
+	create: PropTypes.bool,
+	formProps: PropTypes.object,
+	noun: PropTypes.string.isRequired,
+	resultsProps: PropTypes.object,
+	search: PropTypes.bool,
+	searchProps: PropTypes.object,
+	service: PropTypes.string.isRequired,
+	title: PropTypes.oneOfType([PropTypes.bool, PropTypes.string]),
+	tree: PropTypes.instanceOf(FormatOC.Tree).isRequired
+}
+
+// Default props
+Manage.defaultProps = {
+	create: true,
+	formProps: {},
+	resultsProps: {},
+	search: true,
+	searchProps: {},
+	title: true
+}
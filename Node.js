@@ -39,7 +39,10 @@ import PhoneInput from 'react-phone-input-material-ui'
 
 // Format modules
 import Child from './Child';
-import { SelectBase } from './Shared';
+import { relativeDates, SelectBase } from './Shared';
+
+// Types of nodes that can be searched relative to the current day
+const _relativeTypes = ['date', 'datetime', 'timestamp'];
 
 /**
  * Node
@@ -63,9 +66,20 @@ export class Node extends React.Component {
 		// Add the value
 		this.state.value = props.value !== null ? props.value : this.state.display.default
 
+		// Init the search operator, the second value used by "between", and
+		//	the generation used to recreate the elements when the value is set
+		this.state.generation = 0;
+		this.state.operator = 'exact';
+		this.state.value2 = null;
+
 		// Child elements
 		this.el = null;
+		this.el2 = null;
 		this.search = null;
+
+		// Bind methods
+		this.operatorChange = this.operatorChange.bind(this);
+		this.relativeChange = this.relativeChange.bind(this);
 	}
 
 	componentDidUpdate(prevProps) {
@@ -123,7 +137,9 @@ export class Node extends React.Component {
 	}
 
 	error(msg) {
-		this.el.error(msg);
+		if(this.el) {
+			this.el.error(msg);
+		}
 	}
 
 	generateState() {
@@ -165,8 +181,9 @@ export class Node extends React.Component {
 						this.state.value :
 						Node._registered[this.state.type].default_;
 
-		return (
-			<React.Fragment>
+		// If we're not in search mode, render the element alone
+		if(this.props.type !== 'search') {
+			return (
 				<ElName
 					display={this.state.display}
 					error={this.props.error}
@@ -180,39 +197,206 @@ export class Node extends React.Component {
 					validation={this.props.validation}
 					variant={this.props.variant}
 				/>
-				{this.props.type === 'search' &&
-					<SearchOption
-						ref={el => this.search = el}
-						type={this.state.type}
-						variant={this.props.variant}
-					/>
-				}
+			);
+		}
+
+		// Get the operator
+		const sOperator = this.state.operator;
+
+		// The props shared by every element
+		let oProps = {
+			display: this.state.display,
+			error: this.props.error,
+			label: this.props.label,
+			onChange: this.props.onChange,
+			onEnter: this.props.onEnter || false,
+			name: this.props.name,
+			node: this.props.node,
+			validation: this.props.validation,
+			variant: this.props.variant
+		};
+
+		// If we're matching any of several options, use multiple checkboxes
+		//	and make sure the options are pairs
+		if(sOperator === 'in') {
+			ElName = Node._registered.multiselectcsv.class_;
+			let mOptions = this.state.display.options || this.props.node.options();
+			if(Array.isArray(mOptions)) {
+				mOptions = mOptions.map(m => Array.isArray(m) ? m : [m, m]);
+			}
+			oProps.display = {...this.state.display, options: mOptions};
+			mValue = Array.isArray(this.state.value) ?
+						this.state.value.join(',') :
+						(typeof this.state.value === 'string' ? this.state.value : '');
+		}
+
+		return (
+			<React.Fragment>
+				{['null', 'not_null'].includes(sOperator) ?
+					<Typography className={'searchNull node_' + this.props.name}>
+						{this.state.display.title}
+					</Typography>
+				: (sOperator === 'relative' ?
+					<Box className={'searchRelative flexColumns node_' + this.props.name}>
+						<Select
+							inputProps={{'aria-label': this.state.display.title}}
+							native
+							onChange={ev => this.relativeChange(ev.target.value, this.state.value2)}
+							value={this.state.value || 'today'}
+							variant={this.props.variant}
+						>
+							{Object.keys(relativeDates).map(k =>
+								<option key={k} value={k}>{relativeDates[k].label}</option>
+							)}
+						</Select>
+						{this.state.value === 'days_ago' &&
+							<TextField
+								inputProps={{min: 0}}
+								label="Days"
+								onChange={ev => this.relativeChange('days_ago', ev.target.value)}
+								type="number"
+								value={this.state.value2 === null ? '' : this.state.value2}
+								variant={this.props.variant}
+							/>
+						}
+					</Box>
+				:
+					<Box className={sOperator === 'between' ? 'searchBetween flexColumns' : undefined}>
+						<ElName
+							{...oProps}
+							key={this.state.generation + '_' + (sOperator === 'in' ? 'in' : 'value')}
+							ref={el => this.el = el}
+							value={mValue}
+						/>
+						{sOperator === 'between' &&
+							<ElName
+								{...oProps}
+								display={{...this.state.display, title: this.state.display.title + ' (to)'}}
+								key={this.state.generation + '_value2'}
+								name={this.props.name + '_to'}
+								ref={el => this.el2 = el}
+								value={this.state.value2 !== null ?
+										this.state.value2 :
+										Node._registered[this.state.type].default_}
+							/>
+						}
+					</Box>
+				)}
+				<SearchOption
+					onChange={this.operatorChange}
+					ref={el => this.search = el}
+					relative={_relativeTypes.includes(this.props.node.type())}
+					type={this.state.type}
+					value={sOperator}
+					variant={this.props.variant}
+				/>
 			</React.Fragment>
 		);
 	}
 
+	// Called when the search operator is changed
+	operatorChange(operator) {
+
+		// If we're switching to or from a relative date, the values don't
+		//	carry over
+		let oState = {operator: operator};
+		if(operator === 'relative' || this.state.operator === 'relative') {
+			oState.value = operator === 'relative' ? 'today' : null;
+			oState.value2 = null;
+			oState.generation = this.state.generation + 1;
+		}
+
+		// Else, keep the current value, if there is one, as the first value
+		else if(this.el) {
+			let mValue = this.el.value;
+			if(mValue !== null && (operator === 'in') !== (this.state.operator === 'in')) {
+				mValue = null;
+			}
+			oState.value = mValue;
+			oState.generation = this.state.generation + 1;
+		}
+
+		// Set the new state, then let anyone interested know
+		this.setState(oState, () => {
+			if(this.props.onChange) {
+				this.props.onChange(this.el ? this.el.value : null);
+			}
+		});
+	}
+
+	// Called when the preset, or the days, of a relative date are changed
+	relativeChange(preset, days) {
+		this.setState({value: preset, value2: days}, () => {
+			if(this.props.onChange) {
+				this.props.onChange(preset);
+			}
+		});
+	}
+
 	reset() {
-		this.el.reset();
+		if(this.el) {
+			this.el.reset();
+		}
+		if(this.el2) {
+			this.el2.reset();
+		}
 	}
 
+	// Returns the value, in search mode anything but an exact match is {type, value}
 	get value() {
 
+		// If we're not in search mode, return the value as is
+		if(this.props.type !== 'search') {
+			return this.el.value;
+		}
+
+		// Get the value of the search select
+		let sSearch = this.search.value;
+
+		// If we're checking for empty, there's no value
+		if(sSearch === 'null' || sSearch === 'not_null') {
+			return {type: sSearch, value: null};
+		}
+
+		// If it's a relative date, return the preset, it's resolved to actual
+		//	dates when the search is run
+		if(sSearch === 'relative') {
+			const sPreset = this.state.value || 'today';
+			if(sPreset === 'days_ago') {
+				return {
+					type: sSearch,
+					value: sPreset,
+					days: parseInt(this.state.value2, 10) || 0
+				};
+			}
+			return {type: sSearch, value: sPreset};
+		}
+
 		// Get the value of the element
 		let mValue = this.el.value;
 
+		// If it's a range, return both values, as long as one is set
+		if(sSearch === 'between') {
+			let mValue2 = this.el2.value;
+			if(mValue === null && mValue2 === null) {
+				return null;
+			}
+			return {type: sSearch, value: [mValue, mValue2]};
+		}
+
 		// If the value is null
 		if(mValue === null) {
 			return null;
 		}
 
-		// If we're not in search mode, return the value as is
-		if(this.props.type !== 'search') {
-			return mValue;
+		// If we're matching any of several options, split them into a list
+		if(sSearch === 'in') {
+			return {
+				type: sSearch,
+				value: mValue.split(',').map(s => s.trim()).filter(s => s !== '')
+			};
 		}
 
-		// Get the value of the search select
-		let sSearch = this.search.value;
-
 		// If it's null or exact, return the value as is
 		if(sSearch === null || sSearch === 'exact') {
 			return mValue;
@@ -222,7 +406,7 @@ export class Node extends React.Component {
 		else {
 			return {
 				type: sSearch,
-				value: this.el.value
+				value: mValue
 			}
 		}
 	}
@@ -235,16 +419,28 @@ export class Node extends React.Component {
 			return;
 		}
 
-		// If we didn't get an object, assume exact
-		if(!isObject(val)) {
-			this.el.value = val;
-			this.search.value = 'exact';
-			return;
+		// If we didn't get an object, assume exact, else split the operator
+		//	from the value
+		let sOperator = 'exact', mValue = val, mValue2 = null;
+		if(isObject(val)) {
+			sOperator = val.type;
+			mValue = val.value;
+			if(sOperator === 'between' && Array.isArray(mValue)) {
+				mValue2 = mValue[1];
+				mValue = mValue[0];
+			} else if(sOperator === 'relative' && 'days' in val) {
+				mValue2 = val.days;
+			}
 		}
 
-		// Set the value and search dropdown
-		this.el.value = val.value;
-		this.search.value = val.type;
+		// Set the dropdown and recreate the elements with the new values
+		this.search.value = sOperator;
+		this.setState({
+			generation: this.state.generation + 1,
+			operator: sOperator,
+			value: mValue === undefined ? null : mValue,
+			value2: mValue2 === undefined ? null : mValue2
+		});
 	}
 }
 
@@ -1521,33 +1717,71 @@ class SearchOption extends React.Component {
 		// Figure out the type of options based on the Node's type
 		switch(props.type) {
 			case 'hidden':
+				break;
+
+			case 'bool':
+				lOpts = [
+					<option key="exact" value="exact">Exact</option>,
+					<option key="null" value="null">Is empty</option>,
+					<option key="not_null" value="not_null">Is not empty</option>
+				];
+				break;
+
 			case 'select':
+				lOpts = [
+					<option key="exact" value="exact">Exact</option>,
+					<option key="not" value="not">Not equal</option>,
+					<option key="in" value="in">Any of</option>,
+					<option key="null" value="null">Is empty</option>,
+					<option key="not_null" value="not_null">Is not empty</option>
+				];
+				break;
+
 			case 'multiselectcsv':
+				lOpts = [
+					<option key="exact" value="exact">Exact</option>,
+					<option key="in" value="in">Any of</option>,
+					<option key="null" value="null">Is empty</option>,
+					<option key="not_null" value="not_null">Is not empty</option>
+				];
 				break;
 
 			case 'text':
 			case 'textarea':
 				lOpts = [
 					<option key="exact" value="exact">Exact</option>,
+					<option key="not" value="not">Not equal</option>,
+					<option key="contains" value="contains">Contains</option>,
 					<option key="value" value="start">Starts with</option>,
 					<option key="end" value="end">Ends with</option>,
-					<option key="asterisk" value="asterisk">Uses *</option>
+					<option key="asterisk" value="asterisk">Uses *</option>,
+					<option key="null" value="null">Is empty</option>,
+					<option key="not_null" value="not_null">Is not empty</option>
 				];
 				break;
 
 			default:
 				lOpts = [
 					<option key="exact" value="exact">Exact</option>,
+					<option key="not" value="not">Not equal</option>,
 					<option key="greater" value="greater">Greater than (inclusive)</option>,
-					<option key="less" value="less">Less than (inclusive)</option>
+					<option key="less" value="less">Less than (inclusive)</option>,
+					<option key="between" value="between">Between (inclusive)</option>
 				];
+				if(props.relative) {
+					lOpts.push(<option key="relative" value="relative">Relative date</option>);
+				}
+				lOpts.push(
+					<option key="null" value="null">Is empty</option>,
+					<option key="not_null" value="not_null">Is not empty</option>
+				);
 				break;
 		}
 
 		// Init state
 		this.state = {
 			options: lOpts,
-			value: lOpts ? 'exact': null
+			value: lOpts ? (props.value || 'exact') : null
 		};
 
 		// Refs
@@ -1559,6 +1793,9 @@ class SearchOption extends React.Component {
 
 	change(ev) {
 		this.setState({value: ev.target.value});
+		if(this.props.onChange) {
+			this.props.onChange(ev.target.value);
+		}
 	}
 
 	// Render
@@ -1599,3 +1836,12 @@ class SearchOption extends React.Component {
 		}
 	}
 }
+
+// Valid props
+SearchOption.propTypes = {
+	onChange: PropTypes.func,
+	relative: PropTypes.bool,
+	type: PropTypes.string.isRequired,
+	value: PropTypes.string,
+	variant: PropTypes.oneOf(['filled', 'outlined', 'standard'])
+}
@@ -10,7 +10,7 @@
 
 // Ouroboros
 import events from '@ouroboros/events';
-import { empty } from '@ouroboros/tools';
+import { empty, isObject } from '@ouroboros/tools';
 import FormatOC from 'format-oc';
 
 // NPM modules
@@ -172,6 +172,11 @@ export default class Parent extends React.Component {
 								ref: el => this.fields[lOrder[i]] = el,
 								name: lOrder[i],
 								node: oChild,
+								onChange: this.props.onChange ? (
+									sClass === 'Parent' ?
+										(name, value) => this.props.onChange(lOrder[i] + '.' + name, value) :
+										value => this.props.onChange(lOrder[i], value)
+								) : undefined,
 								onEnter: this.props.onEnter,
 								returnAll: this.props.returnAll,
 								type: this.props.type,
@@ -194,9 +199,18 @@ export default class Parent extends React.Component {
 						variant: this.props.nodeVariant
 					}
 
-					// If we have a trigger
-					if(oDynamicOptions && lOrder[i] in oDynamicOptions) {
-						oProps.onChange = oDynamicOptions[lOrder[i]];
+					// If we have a trigger, or someone wants to know about changes
+					const fTrigger = (oDynamicOptions && lOrder[i] in oDynamicOptions) ?
+										oDynamicOptions[lOrder[i]] : null;
+					if(fTrigger || this.props.onChange) {
+						oProps.onChange = value => {
+							if(fTrigger) {
+								fTrigger(value);
+							}
+							if(this.props.onChange) {
+								this.props.onChange(lOrder[i], value);
+							}
+						}
 					}
 
 					// Create the new element and push it to the list
@@ -267,6 +281,7 @@ export default class Parent extends React.Component {
 		return bValid;
 	}
 
+	// Returns the values, in search mode nested Parents use dotted paths
 	get value() {
 
 		// Init the return value
@@ -287,6 +302,17 @@ export default class Parent extends React.Component {
 				}
 			}
 
+			// Else, if we're in search mode and the field is a Parent, add
+			//	its values using their full paths
+			else if(this.props.type === 'search' &&
+					this.props.node.get(k).class() === 'Parent') {
+				if(!empty(newVal)) {
+					for(let f in newVal) {
+						oRet[k + '.' + f] = newVal[f];
+					}
+				}
+			}
+
 			// Else we're in insert or search mode
 			else {
 
@@ -302,8 +328,26 @@ export default class Parent extends React.Component {
 	}
 
 	set value(val) {
+
+		// Group any dotted paths, e.g. "address.city", under the field they
+		//	belong to
+		let oValues = {};
 		for(let k in val) {
-			this.fields[k].value = val[k];
+			const iDot = k.indexOf('.');
+			if(iDot === -1) {
+				oValues[k] = val[k];
+			} else {
+				const sField = k.substring(0, iDot);
+				if(!isObject(oValues[sField])) {
+					oValues[sField] = {};
+				}
+				oValues[sField][k.substring(iDot + 1)] = val[k];
+			}
+		}
+
+		// Set each field
+		for(let k in oValues) {
+			this.fields[k].value = oValues[k];
 		}
 	}
 }
@@ -333,6 +377,7 @@ Parent.propTypes = {
 	name: PropTypes.string.isRequired,
 	node: PropTypes.instanceOf(FormatOC.Parent).isRequired,
 	nodeVariant: PropTypes.oneOf(['filled', 'outlined', 'standard']),
+	onChange: PropTypes.func,
 	onEnter: PropTypes.func,
 	returnAll: PropTypes.bool,
 	type: PropTypes.oneOf(['create', 'search', 'update']).isRequired,
@@ -13,26 +13,35 @@ import { rest } from '@ouroboros/body';
 import { clipboard } from '@ouroboros/browser';
 import events from '@ouroboros/events';
 import { iso, elapsed } from '@ouroboros/dates';
-import { afindi, clone, omap, ucfirst } from '@ouroboros/tools';
+import { afindi, clone, isObject, omap, ucfirst } from '@ouroboros/tools';
 import FormatOC from 'format-oc';
 
 // NPM modules
-import { createObjectCsvStringifier } from 'csv-writer-browser';
 import Decimal from 'decimal.js';
 import PropTypes from 'prop-types';
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { Link } from 'react-router-dom';
 
 // Material UI
+import Box from '@mui/material/Box';
 import Button from '@mui/material/Button';
+import Card from '@mui/material/Card';
+import CardContent from '@mui/material/CardContent';
+import Checkbox from '@mui/material/Checkbox';
 import Dialog from '@mui/material/Dialog';
 import DialogActions from '@mui/material/DialogActions';
 import DialogContent from '@mui/material/DialogContent';
 import DialogTitle from '@mui/material/DialogTitle';
+import Divider from '@mui/material/Divider';
+import FormControlLabel from '@mui/material/FormControlLabel';
 import IconButton from '@mui/material/IconButton';
+import InputAdornment from '@mui/material/InputAdornment';
+import LinearProgress from '@mui/material/LinearProgress';
 import ListItemIcon from '@mui/material/ListItemIcon';
+import ListSubheader from '@mui/material/ListSubheader';
 import Menu from '@mui/material/Menu';
 import MenuItem from '@mui/material/MenuItem';
+import Popover from '@mui/material/Popover';
 import Table from '@mui/material/Table';
 import TableBody from '@mui/material/TableBody';
 import TableCell from '@mui/material/TableCell';
@@ -42,14 +51,1067 @@ import TableHead from '@mui/material/TableHead';
 import TablePagination from '@mui/material/TablePagination';
 import TableRow from '@mui/material/TableRow';
 import TableSortLabel from '@mui/material/TableSortLabel';
+import TextField from '@mui/material/TextField';
+import Toolbar from '@mui/material/Toolbar';
 import Tooltip from '@mui/material/Tooltip';
 import Typography from '@mui/material/Typography';
 
 // Components
+import Export from './Export';
 import FormComponent from './Form';
+import { Node } from './Node';
 
 // Format modules
-import { SelectBase } from './Shared';
+import { errorTree, SelectBase } from './Shared';
+
+// Formats that results can be exported as
+const _exportFormats = {
+	csv: {
+		generate: Export.csv,
+		icon: 'fa-solid fa-file-csv',
+		title: 'CSV',
+		type: 'text/csv;charset=utf-8'
+	},
+	tsv: {
+		generate: Export.tsv,
+		icon: 'fa-solid fa-file-lines',
+		title: 'TSV',
+		type: 'text/tab-separated-values;charset=utf-8'
+	},
+	json: {
+		generate: Export.json,
+		icon: 'fa-solid fa-file-code',
+		title: 'JSON',
+		type: 'application/json;charset=utf-8'
+	},
+	xlsx: {
+		generate: Export.xlsx,
+		icon: 'fa-solid fa-file-excel',
+		numeric: true,
+		title: 'Excel',
+		type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+	}
+};
+
+// Returns only the values that are numbers, or strings holding numbers
+const _numeric = values => values.filter(v =>
+	(typeof v === 'number' || typeof v === 'string') && v !== '' && isFinite(v)
+);
+
+// Aggregates that can be used in the totals row
+const _aggregates = {
+	avg: {
+		label: 'Avg',
+		calculate: (values, type) => {
+			const lValues = _numeric(values);
+			if(lValues.length === 0) {
+				return null;
+			}
+			let mSum = _aggregates.sum.calculate(lValues, type);
+			if(mSum instanceof Decimal) {
+				return mSum.dividedBy(lValues.length).toDecimalPlaces(type === 'price' ? 2 : 20);
+			}
+			mSum = mSum / lValues.length;
+			return ['time_average', 'time_elapsed'].includes(type) ? ~~mSum : mSum;
+		}
+	},
+	count: {
+		label: 'Count',
+		calculate: values => values.length
+	},
+	distinct: {
+		label: 'Distinct',
+		calculate: values => new Set(values.map(m => String(m))).size
+	},
+	max: {
+		label: 'Max',
+		calculate: (values, type) => values.reduce((m, v) =>
+			(m === null || compareType(type, v, m) > 0) ? v : m
+		, null)
+	},
+	min: {
+		label: 'Min',
+		calculate: (values, type) => values.reduce((m, v) =>
+			(m === null || compareType(type, v, m) < 0) ? v : m
+		, null)
+	},
+	sum: {
+		label: 'Sum',
+		calculate: (values, type) => {
+			const lValues = _numeric(values);
+			if(['decimal', 'price'].includes(type)) {
+				return lValues.reduce((d, v) => d.plus(v), new Decimal(type === 'price' ? '0.00' : '0.0'));
+			}
+			return lValues.reduce((i, v) => i + Number(v), 0);
+		}
+	}
+};
+
+// Default aggregate for each type when totals are turned on
+const _aggregateDefaults = {
+	decimal: 'sum',
+	float: 'sum',
+	int: 'sum',
+	price: 'sum',
+	time_average: 'avg',
+	time_elapsed: 'sum',
+	uint: 'sum'
+};
+
+// Options used to filter bool columns
+const _boolOptions = {'true': 'True', 'false': 'False'};
+
+// Types that are filtered using a range, and those that use dates for it
+const _rangeTypes = [
+	'date', 'datetime', 'decimal', 'float', 'int', 'price', 'time_average',
+	'time_elapsed', 'timestamp', 'uint'
+];
+const _dateTypes = ['date', 'datetime', 'timestamp'];
+
+// Types that are exported as numbers, where the format allows it
+const _numericTypes = ['decimal', 'float', 'int', 'price', 'uint'];
+
+// Widths, in pixels, of the default Material UI breakpoints
+const _breakpoints = {xs: 0, sm: 600, md: 900, lg: 1200, xl: 1536};
+
+/**
+ * Cards Query
+ *
+ * Returns the media query that matches when the screen is narrower than the
+ * breakpoint at which cards are displayed, or null if cards are not used
+ *
+ * @name cardsQuery
+ * @access private
+ * @param false|String|Number cards The breakpoint name or width in pixels
+ * @returns MediaQueryList|null
+ */
+function cardsQuery(cards) {
+	if(cards === false || typeof window === 'undefined' || !window.matchMedia) {
+		return null;
+	}
+	const iWidth = typeof cards === 'number' ? cards : _breakpoints[cards];
+	return window.matchMedia(`(max-width: ${iWidth - 0.05}px)`);
+}
+
+// Estimated height of a row not yet measured, and the number of pixels above
+//	and below the visible area to render rows for, used in virtual mode
+const _rowEstimate = 53;
+const _overscan = 400;
+
+// Collator used to compare strings using the user's locale
+const _collator = new Intl.Collator(undefined, {numeric: true, sensitivity: 'base'});
+
+/**
+ * Filter Bound
+ *
+ * Converts one bound of a range filter into a value that can be compared to
+ * the data of the type. Dates are entered as YYYY-MM-DD, so the upper bound
+ * is moved to the end of the day
+ *
+ * @name filterBound
+ * @access private
+ * @param String type The type of the column
+ * @param String bound The value entered by the user
+ * @param Boolean upper True if this is the upper bound of the range
+ * @returns mixed
+ */
+function filterBound(type, bound, upper) {
+	if(type === 'timestamp') {
+		return new Date(bound + (upper ? 'T23:59:59' : 'T00:00:00')).getTime() / 1000;
+	} else if(type === 'datetime') {
+		return bound + (upper ? ' 23:59:59' : ' 00:00:00');
+	}
+	return bound;
+}
+
+/**
+ * Filter Kind
+ *
+ * Returns the kind of filter used by a column based on its type and
+ * options, or null if the column can't be filtered
+ *
+ * @name filterKind
+ * @access private
+ * @param String type The type of the column
+ * @param mixed options The options of the column, if it has any
+ * @returns String|null
+ */
+function filterKind(type, options) {
+	if(type === null) {
+		return null;
+	} else if(options || type === 'bool') {
+		return 'options';
+	} else if(_rangeTypes.includes(type)) {
+		return 'range';
+	}
+	return 'contains';
+}
+
+/**
+ * Filter Match
+ *
+ * Returns true if a single value matches the filter for its column
+ *
+ * @name filterMatch
+ * @access private
+ * @param String kind The kind of filter, 'contains', 'options', or 'range'
+ * @param String type The type of the column
+ * @param mixed filter The filter set by the user
+ * @param mixed value The value of the record
+ * @param Function text Returns the displayed text of the value
+ * @returns Boolean
+ */
+function filterMatch(kind, type, filter, value, text) {
+
+	// If the value is contained in the text
+	if(kind === 'contains') {
+		return text().toLowerCase().includes(filter.toLowerCase());
+	}
+
+	// Empty values never match the other kinds
+	if(value === undefined || value === null || value === '') {
+		return false;
+	}
+
+	// If the value is one of the options selected
+	if(kind === 'options') {
+		let lValues = type === 'bool' ? [String(!!value)] : (
+			Array.isArray(value) ? value.map(m => String(m)) : (
+				type === 'multiselectcsv' ? String(value).split(',') : [String(value)]
+			)
+		);
+		return lValues.some(s => filter.includes(s));
+	}
+
+	// Else, the value is in the range
+	if('from' in filter &&
+		compareType(type, value, filterBound(type, filter.from, false)) < 0) {
+		return false;
+	}
+	if('to' in filter &&
+		compareType(type, value, filterBound(type, filter.to, true)) > 0) {
+		return false;
+	}
+	return true;
+}
+
+/**
+ * Rule Apply
+ *
+ * Runs a list of rules, or a single function, on the arguments and merges
+ * the className and sx of every one that matches into the style passed
+ *
+ * @name ruleApply
+ * @access private
+ * @param Object style The style to merge into, {className, sx}
+ * @param Function|Object[] rules A function, or list of {test, className, sx}
+ * @param Array args The arguments passed to each test
+ * @returns void
+ */
+function ruleApply(style, rules, args) {
+
+	// Go through each rule
+	for(let m of (Array.isArray(rules) ? rules : [rules])) {
+
+		// Get the style, either from the function, or from the rule if its
+		//	test passes
+		let oStyle = typeof m === 'function' ? m(...args) : (
+			m.test(...args) ? m : null
+		);
+
+		// If there's a style, merge it
+		if(oStyle) {
+			if(oStyle.className) {
+				style.className = (style.className ? style.className + ' ' : '') + oStyle.className;
+			}
+			if(oStyle.sx) {
+				style.sx = {...(style.sx || {}), ...oStyle.sx};
+			}
+		}
+	}
+}
+
+/**
+ * Rule Compile
+ *
+ * Converts a declarative rule from the react section of a node into one
+ * that can be run by ruleApply. Every condition in the rule, eq, ne, gt,
+ * gte, lt, lte, in, and empty, must pass for the rule to match. The color
+ * is a shortcut for setting the color in sx
+ *
+ * @name ruleCompile
+ * @access private
+ * @param Object rule The declarative rule
+ * @param String type The type of the field the rule is for
+ * @returns Object
+ */
+function ruleCompile(rule, type) {
+
+	// Generate the style
+	let oStyle = {};
+	if(rule.className) {
+		oStyle.className = rule.className;
+	}
+	if(rule.sx || rule.color) {
+		oStyle.sx = {...(rule.sx || {})};
+		if(rule.color) {
+			oStyle.sx.color = rule.color;
+		}
+	}
+
+	// Return the style with the test
+	return {
+		...oStyle,
+		test: value => {
+
+			// Is the value empty
+			const bEmpty = value === undefined || value === null || value === '';
+
+			// If there's an empty check, the value must match it
+			if('empty' in rule && rule.empty !== bEmpty) {
+				return false;
+			}
+
+			// Any other check fails on empty values
+			if(bEmpty) {
+				return ['eq', 'gt', 'gte', 'in', 'lt', 'lte'].every(k => !(k in rule));
+			}
+
+			// Check the value against each condition
+			for(let k of ['eq', 'ne', 'gt', 'gte', 'lt', 'lte']) {
+				if(k in rule) {
+					const i = compareType(type, value, rule[k]);
+					if((k === 'eq' && i !== 0) ||
+						(k === 'ne' && i === 0) ||
+						(k === 'gt' && i <= 0) ||
+						(k === 'gte' && i < 0) ||
+						(k === 'lt' && i >= 0) ||
+						(k === 'lte' && i > 0)) {
+						return false;
+					}
+				}
+			}
+			if('in' in rule && !rule.in.map(m => String(m)).includes(String(value))) {
+				return false;
+			}
+
+			// Every condition passed
+			return true;
+		}
+	};
+}
+
+/**
+ * Compare Type
+ *
+ * Compares two values using the comparator registered for the type
+ *
+ * @name compareType
+ * @access private
+ * @param String type The type of the values
+ * @param mixed a The first value
+ * @param mixed b The second value
+ * @returns Number
+ */
+function compareType(type, a, b) {
+	return ((type && type in Results._comparators) ?
+			Results._comparators[type] :
+			Results._comparators.string)(a, b);
+}
+
+/**
+ * Compare Date
+ *
+ * Compares two date or datetime strings
+ *
+ * @name compareDate
+ * @access private
+ * @param String a The first value
+ * @param String b The second value
+ * @returns Number
+ */
+function compareDate(a, b) {
+	let iA = Date.parse(String(a).replace(' ', 'T'));
+	let iB = Date.parse(String(b).replace(' ', 'T'));
+	if(isNaN(iA) || isNaN(iB)) {
+		return compareString(a, b);
+	}
+	return iA - iB;
+}
+
+/**
+ * Compare Decimal
+ *
+ * Compares two decimal values, which may be stored as strings
+ *
+ * @name compareDecimal
+ * @access private
+ * @param mixed a The first value
+ * @param mixed b The second value
+ * @returns Number
+ */
+function compareDecimal(a, b) {
+	try {
+		return new Decimal(a).comparedTo(new Decimal(b));
+	} catch(e) {
+		return compareString(a, b);
+	}
+}
+
+/**
+ * Compare Number
+ *
+ * Compares two numeric values, which may be stored as strings
+ *
+ * @name compareNumber
+ * @access private
+ * @param mixed a The first value
+ * @param mixed b The second value
+ * @returns Number
+ */
+function compareNumber(a, b) {
+	let iA = Number(a);
+	let iB = Number(b);
+	if(isNaN(iA) || isNaN(iB)) {
+		return compareString(a, b);
+	}
+	return iA - iB;
+}
+
+/**
+ * Compare String
+ *
+ * Compares two values as strings using the user's locale
+ *
+ * @name compareString
+ * @access private
+ * @param mixed a The first value
+ * @param mixed b The second value
+ * @returns Number
+ */
+function compareString(a, b) {
+	return _collator.compare(String(a), String(b));
+}
+
+/**
+ * Cell Renderer
+ *
+ * Returns the renderer for a field. Fields with options use the "options"
+ * renderer, or the "multiselectcsv" one for comma separated values, else the
+ * renderer registered for its type, else the "default" one
+ *
+ * @name cellRenderer
+ * @access private
+ * @param String field The name of the field
+ * @param Object types The types of each field
+ * @param Object options The options, if any, of each field
+ * @returns Object
+ */
+function cellRenderer(field, types, options) {
+	if(options[field]) {
+		return types[field] === 'multiselectcsv' ?
+				Results._renderers.multiselectcsv :
+				Results._renderers.options;
+	} else if(types[field] && types[field] in Results._renderers) {
+		return Results._renderers[types[field]];
+	} else {
+		return Results._renderers.default;
+	}
+}
+
+/**
+ * Cell Content
+ *
+ * Returns the content displayed in a table cell for the value of a field
+ *
+ * @name cellContent
+ * @access private
+ * @param String field The name of the field
+ * @param mixed value The value of the field
+ * @param Object record The entire record the value is from
+ * @param Object types The types of each field
+ * @param Object options The options, if any, of each field
+ * @returns mixed
+ */
+function cellContent(field, value, record, types, options) {
+
+	// If the value is undefined or null
+	if(value === undefined || value === null) {
+		return '';
+	}
+
+	// Render the value
+	return cellRenderer(field, types, options).render(value, {
+		field: field,
+		options: options[field],
+		record: record,
+		type: types[field]
+	});
+}
+
+/**
+ * Cell Text
+ *
+ * Returns the plain text for the value of a field, used when exporting.
+ * Uses the renderer's text function if it has one, else whatever it renders
+ * if that's a string or number
+ *
+ * @name cellText
+ * @access private
+ * @param String field The name of the field
+ * @param mixed value The value of the field
+ * @param Object record The entire record the value is from
+ * @param Object types The types of each field
+ * @param Object options The options, if any, of each field
+ * @returns String
+ */
+function cellText(field, value, record, types, options) {
+
+	// If the value is undefined or null
+	if(value === undefined || value === null) {
+		return '';
+	}
+
+	// Get the renderer and the info passed to it
+	const oRenderer = cellRenderer(field, types, options);
+	const oInfo = {
+		field: field,
+		options: options[field],
+		record: record,
+		type: types[field]
+	};
+
+	// If we have a text function
+	if(oRenderer.text) {
+		return oRenderer.text(value, oInfo);
+	}
+
+	// Else, render the value and use it if it's simple
+	const mContent = oRenderer.render(value, oInfo);
+	if(typeof mContent === 'string' || typeof mContent === 'number') {
+		return String(mContent);
+	}
+
+	// Else, return the value as is
+	return String(value);
+}
+
+/**
+ * Text Bool
+ *
+ * Default renderer for bool values
+ *
+ * @name textBool
+ * @access private
+ * @param mixed value The value to render
+ * @returns String
+ */
+function textBool(value) {
+	return (value === 1 || value === true) ? 'True' : 'False';
+}
+
+/**
+ * Text Default
+ *
+ * Default renderer text for any value without a more specific renderer
+ *
+ * @name textDefault
+ * @access private
+ * @param mixed value The value to render
+ * @returns String
+ */
+function textDefault(value) {
+	return String(value);
+}
+
+/**
+ * Text Multi Select CSV
+ *
+ * Default renderer for comma separated values with options
+ *
+ * @name textMultiSelectCSV
+ * @access private
+ * @param String value The value to render
+ * @param Object info The field, options, record, and type of the value
+ * @returns String
+ */
+function textMultiSelectCSV(value, info) {
+	if(!info.options) {
+		return String(value);
+	} else if(info.options === true) {
+		return 'Loading...';
+	}
+	return value.split(',').map(s => {
+		return optionLabel(info.options, s.trim());
+	}).join(', ');
+}
+
+/**
+ * Option Label
+ *
+ * Returns the label of the value in the options, or the value itself if it
+ * isn't one of them
+ *
+ * @name optionLabel
+ * @access private
+ * @param Object options The labels of each option
+ * @param mixed value The value to find the label of
+ * @returns String
+ */
+function optionLabel(options, value) {
+	return value in options ? String(options[value]) : String(value);
+}
+
+/**
+ * Text Options
+ *
+ * Default renderer for values of fields that have options
+ *
+ * @name textOptions
+ * @access private
+ * @param mixed value The value to render
+ * @param Object info The field, options, record, and type of the value
+ * @returns String
+ */
+function textOptions(value, info) {
+
+	// If they're still loading
+	if(info.options === true) {
+		return 'Loading...';
+	}
+
+	// If the value is an array
+	if(Array.isArray(value)) {
+		return value.map(m => optionLabel(info.options, m)).join(', ');
+	}
+
+	// Else, assume one option for the value
+	return optionLabel(info.options, value);
+}
+
+/**
+ * Text Price
+ *
+ * Default renderer for price values
+ *
+ * @name textPrice
+ * @access private
+ * @param mixed value The value to render
+ * @returns String
+ */
+function textPrice(value) {
+	return `$${value}`;
+}
+
+/**
+ * Text Timestamp
+ *
+ * Default renderer for timestamp values
+ *
+ * @name textTimestamp
+ * @access private
+ * @param Number value The value to render
+ * @returns String
+ */
+function textTimestamp(value) {
+	return iso(value);
+}
+
+/**
+ * Columns Menu
+ *
+ * Displays a menu allowing the user to show, hide, and reorder the columns
+ *
+ * @name ColumnsMenu
+ * @access private
+ * @param Object props Properties passed to the component
+ * @return React.Component
+ */
+function ColumnsMenu(props) {
+
+	// State
+	let [menu, menuSet] = useState(false);
+
+	// Called to move a visible column up (-1) or down (1)
+	function move(field, offset) {
+		let lFields = props.fields.slice();
+		let iIndex = lFields.indexOf(field);
+		if(iIndex + offset < 0 || iIndex + offset >= lFields.length) {
+			return;
+		}
+		lFields.splice(iIndex + offset, 0, lFields.splice(iIndex, 1)[0]);
+		props.change(lFields);
+	}
+
+	// Called to show or hide a column
+	function toggle(field) {
+
+		// If it's visible, hide it, unless it's the last one
+		if(props.fields.includes(field)) {
+			if(props.fields.length > 1) {
+				props.change(props.fields.filter(k => k !== field));
+			}
+		}
+
+		// Else, add it to the end
+		else {
+			props.change(props.fields.concat([field]));
+		}
+	}
+
+	// Render
+	return (
+		<React.Fragment>
+			<Tooltip title="Columns">
+				<IconButton onClick={ev => menuSet(ev.currentTarget)}>
+					<i className="fa-solid fa-table-columns" />
+				</IconButton>
+			</Tooltip>
+			{menu !== false &&
+				<Menu
+					anchorEl={menu}
+					className="resultsColumns"
+					open={true}
+					onClose={ev => menuSet(false)}
+				>
+					{props.fields.concat(props.columns.filter(k => !props.fields.includes(k))).map((k,i) =>
+						<MenuItem key={k} onClick={() => toggle(k)}>
+							<ListItemIcon>
+								<Checkbox
+									checked={props.fields.includes(k)}
+									disabled={props.fields.length === 1 && props.fields.includes(k)}
+									edge="start"
+									size="small"
+									tabIndex={-1}
+								/>
+							</ListItemIcon>
+							<span className="flexGrow">{props.titles[k]}</span>
+							{props.fields.includes(k) &&
+								<React.Fragment>
+									<IconButton
+										aria-label="Move up"
+										disabled={i === 0}
+										onClick={ev => { ev.stopPropagation(); move(k, -1); }}
+										size="small"
+									>
+										<i className="fa-solid fa-chevron-up" />
+									</IconButton>
+									<IconButton
+										aria-label="Move down"
+										disabled={i === props.fields.length - 1}
+										onClick={ev => { ev.stopPropagation(); move(k, 1); }}
+										size="small"
+									>
+										<i className="fa-solid fa-chevron-down" />
+									</IconButton>
+								</React.Fragment>
+							}
+						</MenuItem>
+					)}
+					<MenuItem onClick={() => { props.reset(); menuSet(false); }}>
+						<ListItemIcon>
+							<i className="fa-solid fa-rotate-left" />
+						</ListItemIcon>
+						Reset to default
+					</MenuItem>
+				</Menu>
+			}
+		</React.Fragment>
+	);
+}
+
+// Valid props
+ColumnsMenu.propTypes = {
+	change: PropTypes.func.isRequired,
+	columns: PropTypes.array.isRequired,
+	fields: PropTypes.array.isRequired,
+	reset: PropTypes.func.isRequired,
+	titles: PropTypes.object.isRequired
+}
+
+/**
+ * Column Filter
+ *
+ * Displays a button that opens a popover used to filter a single column
+ *
+ * @name ColumnFilter
+ * @access private
+ * @param Object props Properties passed to the component
+ * @return React.Component
+ */
+function ColumnFilter(props) {
+
+	// State
+	let [anchor, anchorSet] = useState(null);
+
+	// Called to toggle one of the options
+	function option(key) {
+		let lValue = props.value ? props.value.slice() : [];
+		let iIndex = lValue.indexOf(key);
+		if(iIndex > -1) {
+			lValue.splice(iIndex, 1);
+		} else {
+			lValue.push(key);
+		}
+		props.change(lValue.length ? lValue : undefined);
+	}
+
+	// Called to change one of the bounds of the range
+	function range(bound, value) {
+		let oValue = {...(props.value || {})};
+		if(value === '') {
+			delete oValue[bound];
+		} else {
+			oValue[bound] = value;
+		}
+		props.change(Object.keys(oValue).length ? oValue : undefined);
+	}
+
+	// Render
+	return (
+		<React.Fragment>
+			<IconButton
+				aria-label={'Filter ' + props.title}
+				className={'filter' + (props.value !== undefined ? ' active' : '')}
+				onClick={ev => anchorSet(ev.currentTarget)}
+				size="small"
+			>
+				<i className="fa-solid fa-filter" />
+			</IconButton>
+			{anchor !== null &&
+				<Popover
+					anchorEl={anchor}
+					anchorOrigin={{vertical: 'bottom', horizontal: 'left'}}
+					onClose={ev => anchorSet(null)}
+					open={true}
+				>
+					<Box className="resultsFilter">
+						{props.kind === 'contains' &&
+							<TextField
+								autoFocus={true}
+								label="Contains"
+								onChange={ev => props.change(ev.target.value === '' ? undefined : ev.target.value)}
+								size="small"
+								value={props.value || ''}
+							/>
+						}
+						{props.kind === 'range' &&
+							['from', 'to'].map(s =>
+								<TextField
+									key={s}
+									InputLabelProps={{shrink: true}}
+									label={ucfirst(s)}
+									onChange={ev => range(s, ev.target.value)}
+									size="small"
+									type={_dateTypes.includes(props.type) ? 'date' : 'number'}
+									value={(props.value && props.value[s]) || ''}
+								/>
+							)
+						}
+						{props.kind === 'options' && (props.options === true ?
+							<Typography>Loading...</Typography> :
+							Object.keys(props.options).map(k =>
+								<FormControlLabel
+									key={k}
+									control={
+										<Checkbox
+											checked={props.value ? props.value.includes(k) : false}
+											onChange={() => option(k)}
+											size="small"
+										/>
+									}
+									label={props.options[k]}
+								/>
+							)
+						)}
+						<Box className="actions">
+							<Button
+								disabled={props.value === undefined}
+								onClick={() => props.change(undefined)}
+								size="small"
+							>
+								Clear
+							</Button>
+						</Box>
+					</Box>
+				</Popover>
+			}
+		</React.Fragment>
+	);
+}
+
+// Valid props
+ColumnFilter.propTypes = {
+	change: PropTypes.func.isRequired,
+	kind: PropTypes.oneOf(['contains', 'options', 'range']).isRequired,
+	options: PropTypes.oneOfType([PropTypes.bool, PropTypes.object]),
+	title: PropTypes.string.isRequired,
+	type: PropTypes.string,
+	value: PropTypes.any
+}
+
+/**
+ * Export Menu
+ *
+ * Displays a menu allowing the user to pick which rows to export and in what
+ * format
+ *
+ * @name ExportMenu
+ * @access private
+ * @param Object props Properties passed to the component
+ * @return React.Component
+ */
+function ExportMenu(props) {
+
+	// State
+	let [menu, menuSet] = useState(false);
+	let [scope, scopeSet] = useState('filtered');
+
+	// Called when a format is clicked
+	function format(name) {
+		menuSet(false);
+		props.export(name, scope);
+	}
+
+	// Render
+	return (
+		<React.Fragment>
+			<Tooltip title="Export">
+				<IconButton onClick={ev => menuSet(ev.currentTarget)}>
+					<i className="fa-solid fa-file-export" />
+				</IconButton>
+			</Tooltip>
+			{menu !== false &&
+				<Menu
+					anchorEl={menu}
+					open={true}
+					onClose={ev => menuSet(false)}
+				>
+					<ListSubheader>Rows</ListSubheader>
+					<MenuItem selected={scope === 'page'} onClick={() => scopeSet('page')}>Current page</MenuItem>
+					{!props.remote &&
+						<MenuItem selected={scope === 'filtered'} onClick={() => scopeSet('filtered')}>Filtered rows</MenuItem>
+					}
+					<MenuItem selected={scope === 'all'} onClick={() => scopeSet('all')}>All rows</MenuItem>
+					<Divider />
+					<ListSubheader>Format</ListSubheader>
+					{Object.keys(_exportFormats).map(k =>
+						<MenuItem key={k} onClick={() => format(k)}>
+							<ListItemIcon>
+								<i className={_exportFormats[k].icon} />
+							</ListItemIcon>
+							{_exportFormats[k].title}
+						</MenuItem>
+					)}
+				</Menu>
+			}
+		</React.Fragment>
+	);
+}
+
+// Valid props
+ExportMenu.propTypes = {
+	export: PropTypes.func.isRequired,
+	remote: PropTypes.bool.isRequired
+}
+
+/**
+ * Virtual Body
+ *
+ * Wraps a single row, and any expanded rows under it, in its own body so
+ * its height can be measured whenever it changes
+ *
+ * @name VirtualBody
+ * @access private
+ * @param Object props Properties passed to the component
+ * @return React.Component
+ */
+function VirtualBody(props) {
+
+	// Props used to measure
+	const { measure, rowKey } = props;
+
+	// Refs
+	let refBody = useRef(null);
+
+	// Measure the body whenever it changes size, or if the browser can't
+	//	observe it, once when it's rendered
+	useEffect(() => {
+		if(typeof window === 'undefined' || !window.ResizeObserver) {
+			measure(rowKey, refBody.current.getBoundingClientRect().height);
+			return;
+		}
+		const oObserver = new window.ResizeObserver(entries => {
+			measure(rowKey, entries[0].target.getBoundingClientRect().height);
+		});
+		oObserver.observe(refBody.current);
+		return () => oObserver.disconnect();
+	}, [measure, rowKey]);
+
+	// Render
+	return (
+		<TableBody ref={refBody}>
+			{props.children}
+		</TableBody>
+	);
+}
+
+// Valid props
+VirtualBody.propTypes = {
+	measure: PropTypes.func.isRequired,
+	rowKey: PropTypes.any.isRequired
+}
+
+/**
+ * Filter Bar
+ *
+ * Displays the quick filter box, and a way to clear every filter
+ *
+ * @name FilterBar
+ * @access private
+ * @param Object props Properties passed to the component
+ * @return React.Component
+ */
+function FilterBar(props) {
+	return (
+		<Toolbar className="filterBar" variant="dense">
+			<TextField
+				InputProps={{
+					startAdornment: (
+						<InputAdornment position="start">
+							<i className="fa-solid fa-magnifying-glass" />
+						</InputAdornment>
+					)
+				}}
+				inputProps={{'aria-label': 'Filter results'}}
+				onChange={ev => props.change(ev.target.value)}
+				placeholder="Filter"
+				size="small"
+				value={props.value}
+			/>
+			<Typography className="flexGrow count">
+				{props.count !== props.total &&
+					props.count + ' of ' + props.total + ' records'
+				}
+			</Typography>
+			{(props.value !== '' || props.columns) &&
+				<Button onClick={props.clear} size="small">
+					Clear filters
+				</Button>
+			}
+		</Toolbar>
+	);
+}
+
+// Valid props
+FilterBar.propTypes = {
+	change: PropTypes.func.isRequired,
+	clear: PropTypes.func.isRequired,
+	columns: PropTypes.bool.isRequired,
+	count: PropTypes.number.isRequired,
+	total: PropTypes.number.isRequired,
+	value: PropTypes.string.isRequired
+}
 
 /**
  * Pagination Actions
@@ -132,10 +1194,22 @@ function ResultsRow(props) {
 
 	// State
 	let [actions, actionsSet] = useState({});
+	let [editing, editingSet] = useState(false);
 	let [menu, menuSet] = useState(false);
+	let [pending, pendingSet] = useState({});
 	let [remove, removeSet] = useState(false);
 	let [update, updateSet] = useState(false);
 
+	// Refs
+	let refEditor = useRef(null);
+
+	// Show any error from a failed inline save once the editor is displayed
+	useEffect(() => {
+		if(editing && editing.error && refEditor.current) {
+			refEditor.current.error(editing.error);
+		}
+	}, [editing]);
+
 	// Called when a customer action icon is clicked
 	function action(index) {
 
@@ -176,6 +1250,60 @@ function ResultsRow(props) {
 		});
 	}
 
+	// Called to check if a field can be edited inline
+	function editable(field) {
+		return props.inline &&
+				!props.card &&
+				field !== props.info.primary &&
+				!(field in props.custom) &&
+				props.info.tree.get(field).class() === 'Node';
+	}
+
+	// Called to save the value of the field being edited inline
+	function inlineSave() {
+
+		// Get the field, its node, and the new value
+		const sField = editing.field;
+		const oNode = props.info.tree.get(sField);
+		const mValue = refEditor.current.value;
+
+		// If the value is invalid, show the error and do nothing
+		if(!oNode.valid(mValue)) {
+			refEditor.current.error(oNode.validation_failures[0][1]);
+			return;
+		}
+
+		// Close the editor and show the new value while it's being saved
+		editingSet(false);
+		pendingSet(o => ({...o, [sField]: mValue}));
+
+		// Send the field to be saved
+		props.inline(props.data, sField, mValue).then(res => {
+
+			// Clear the pending value
+			pendingSet(o => { let n = {...o}; delete n[sField]; return n; });
+
+			// Let the parent know the record changed
+			props.changed({
+				...props.data,
+				...(isObject(res) ? res : {}),
+				[sField]: mValue
+			});
+
+		}, error => {
+
+			// Roll back the value
+			pendingSet(o => { let n = {...o}; delete n[sField]; return n; });
+
+			// Re-open the editor with the value and the error
+			editingSet({
+				error: error || 'Failed to save',
+				field: sField,
+				value: mValue
+			});
+		});
+	}
+
 	// Called after a row is successfully editted
 	function updateSuccess(values) {
 
@@ -198,17 +1326,64 @@ function ResultsRow(props) {
 
 	// Generate each cell based on type
 	let lCells = [];
+
+	// If rows can be selected, add the checkbox
+	if(props.selectable && !props.card) {
+		lCells.push(
+			<TableCell key={-2} className="select" padding="checkbox">
+				<Checkbox
+					checked={props.selected}
+					inputProps={{'aria-label': 'Select record'}}
+					onChange={ev => props.select(props.data[props.info.primary], ev.target.checked)}
+				/>
+			</TableCell>
+		);
+	}
+
 	for(const i in props.fields) {
 
-		// Store field and value
+		// Store field and value, using any value still being saved
 		let sField = props.fields[i];
-		let mValue = props.data[sField];
+		let mValue = sField in pending ? pending[sField] : props.data[sField];
 
 		// Init cell contents
 		let mContent = null;
 
-		// If we have a primary key and we can copy it
-		if(props.info.copyPrimary && sField === props.info.primary) {
+		// If the field is being edited inline
+		if(editing && editing.field === sField) {
+			mContent = (
+				<Box
+					className="inlineEdit flexColumns"
+					onKeyDown={ev => { if(ev.key === 'Escape') editingSet(false); }}
+				>
+					<Box className="flexGrow">
+						<Node
+							label="none"
+							name={sField}
+							node={props.info.tree.get(sField)}
+							onEnter={inlineSave}
+							ref={refEditor}
+							type="update"
+							value={editing.value}
+							variant="standard"
+						/>
+					</Box>
+					<Tooltip title="Save">
+						<IconButton className="icon" onClick={inlineSave}>
+							<i className="fa-solid fa-check" />
+						</IconButton>
+					</Tooltip>
+					<Tooltip title="Cancel">
+						<IconButton className="icon" onClick={() => editingSet(false)}>
+							<i className="fa-solid fa-times" />
+						</IconButton>
+					</Tooltip>
+				</Box>
+			);
+		}
+
+		// Else, if we have a primary key and we can copy it
+		else if(props.info.copyPrimary && sField === props.info.primary) {
 			mContent = (
 				<Tooltip title="Copy Record Key">
 					<IconButton onClick={copyKey}>
@@ -216,77 +1391,215 @@ function ResultsRow(props) {
 					</IconButton>
 				</Tooltip>
 			);
-		} else {
-
-			// If we have a custom processor for the field
-			if(sField in props.custom) {
-				mContent = props.custom[sField](props.data);
-			} else {
-
-				// If the value is not undefined or null
-				if(mValue !== undefined && mValue !== null) {
+		}
 
-					// If we have a value and we have options
-					if(props.options[sField]) {
-						if(props.options[sField] === true) {
-							mContent = 'Loading...';
-						} else {
+		// Else, if we have a custom processor for the field
+		else if(sField in props.custom) {
+			mContent = props.custom[sField](props.data);
+		}
 
-							// If it's a multi-select comma seperated value
-							if(props.info.types[sField] === 'multiselectcsv') {
-								mContent = mValue.split(',').map(s => {
-									return props.options[sField][s.trim()];
-								}).join(', ');
-							}
+		// Else, use the renderer for the field
+		else {
+			mContent = cellContent(sField, mValue, props.data, props.info.types, props.options);
+		}
 
-							// Else, if the value is an array
-							else if(Array.isArray(mValue)) {
-								mContent = mValue.map(m => props.options[sField][m]).join(', ');
-							}
+		// Get the style of the cell from the rules
+		let oCell = {className: '', sx: undefined};
+		if(props.styles && props.styles.cells[sField]) {
+			oCell.className = ' ' + props.styles.cells[sField].className;
+			oCell.sx = props.styles.cells[sField].sx;
+		}
 
-							// Else, assume one option for the value
-							else {
-								mContent = props.options[sField][mValue];
-							}
-						}
-					}
+		// If we're displaying a card, add the title and value
+		if(props.card) {
+			lCells.push(
+				<Box
+					key={i}
+					className={'field field_' + sField + oCell.className}
+					sx={oCell.sx}
+				>
+					<Typography className="title">{props.titles[sField]}</Typography>
+					<Box className="value">{mContent}</Box>
+				</Box>
+			);
+		}
 
-					// Else if the type is a bool
-					else if(props.info.types[sField] === 'bool') {
-						mContent = mValue === 1 ? 'True' : 'False';
-					}
+		// Else, if the field can be edited inline
+		else if(editable(sField)) {
+			lCells.push(
+				<TableCell
+					key={i}
+					className={'field_' + props.fields[i] + ' editable' + (sField in pending ? ' pending' : '') + oCell.className}
+					onDoubleClick={() => editing || editingSet({
+						error: false,
+						field: sField,
+						value: props.data[sField]
+					})}
+					sx={oCell.sx}
+					title={editing ? undefined : 'Double-click to edit'}
+				>
+					{mContent}
+				</TableCell>
+			);
+		} else {
+			lCells.push(
+				<TableCell key={i} className={'field_' + props.fields[i] + oCell.className} sx={oCell.sx}>
+					{mContent}
+				</TableCell>
+			);
+		}
+	}
 
-					// Else, if the type is a price
-					else if(props.info.types[sField] === 'price') {
-						mContent = `$${mValue}`;
-					}
+	// The confirmation shown before the record is deleted
+	const oRemove = remove && (
+		<Dialog
+			onClose={() => removeSet(false)}
+			open={true}
+		>
+			<DialogTitle>Confirm Delete</DialogTitle>
+			<DialogContent>
+				<Typography>Please confirm you wish to delete this record.</Typography>
+			</DialogContent>
+			<DialogActions>
+				<Button color="secondary" onClick={() => removeSet(false)} variant="contained">Cancel</Button>
+				<Button color="primary" onClick={() => {removeSet(false); props.remove(props.data[props.info.primary])}} variant="contained">Delete</Button>
+			</DialogActions>
+		</Dialog>
+	);
 
-					// Else if the type is a timestamp
-					else if(props.info.types[sField] === 'timestamp') {
-						mContent = iso(mValue);
-					}
+	// The form displayed when the record is being updated
+	const oUpdate = update && (
+		<FormComponent
+			cancel={() => updateSet(false)}
+			errors={props.errors}
+			gridSizes={props.gridSizes}
+			gridSpacing={props.gridSpacing}
+			noun={props.info.noun}
+			service={props.info.service}
+			success={updateSuccess}
+			tree={props.info.tree}
+			type="update"
+			value={props.data}
+		/>
+	);
 
-					// If we have a string with newlines
-					else if(typeof mValue === 'string' && mValue.includes('\n')) {
-						mContent = mValue.split('\n').map((s,i) =>
-							<p key={i}>{s}</p>
-						);
-					}
+	// Returns the component of an open action
+	function actionComponent(index, props_) {
+		return props_ === true ? React.createElement(props.actions[index].component, {
+			onClose: () => action(index),
+			value: props.data
+		}) : React.createElement(props.actions[index].component, {
+			onClose: () => action(index),
+			value: props.data,
+			...props_
+		});
+	}
 
-					// Else, set it as is
-					else {
-						mContent = String(mValue);
+	// If we're displaying a card
+	if(props.card) {
+		return (
+			<Card
+				className={'resultsCard' +
+							(props.selected ? ' selected' : '') +
+							(props.styles && props.styles.row.className ? ' ' + props.styles.row.className : '')}
+				sx={props.styles ? props.styles.row.sx : undefined}
+				variant="outlined"
+			>
+				<CardContent>
+					<Box className="header flexColumns">
+						{props.selectable &&
+							<Checkbox
+								checked={props.selected}
+								inputProps={{'aria-label': 'Select record'}}
+								onChange={ev => props.select(props.data[props.info.primary], ev.target.checked)}
+							/>
+						}
+						<span className="flexGrow" />
+						{(props.actions && (props.actions.length > 0 || props.update || props.remove || props.menu.length > 0)) &&
+							<IconButton
+								aria-label="Actions"
+								className="icon"
+								onClick={ev => menuSet(b => b ? false : ev.currentTarget)}
+							>
+								<i className="fa-solid fa-ellipsis-vertical" />
+							</IconButton>
+						}
+					</Box>
+					{lCells}
+					{update &&
+						<Box className="update">
+							{oUpdate}
+						</Box>
 					}
-				} else {
-					mContent = '';
+					{omap(actions, (b,i) =>
+						<Box key={i} className="action_row">
+							{actionComponent(i, b)}
+						</Box>
+					)}
+				</CardContent>
+				{menu !== false &&
+					<Menu
+						anchorEl={menu}
+						open={true}
+						onClose={ev => menuSet(false)}
+					>
+						{props.actions.map((a, i) => {
+							if(a.dynamic && typeof a.dynamic === 'function') {
+								a = Object.assign(a, a.dynamic(props.data));
+							}
+							return (
+								<MenuItem
+									key={'action_' + i}
+									component={a.url ? Link : 'li'}
+									onClick={ev => {
+										menuSet(false);
+										if(!a.url) {
+											action(i);
+										}
+									}}
+									selected={actions[i.toString()] ? true : false}
+									to={a.url}
+								>
+									<ListItemIcon>
+										<i className={a.icon} />
+									</ListItemIcon>
+									{a.tooltip}
+								</MenuItem>
+							);
+						})}
+						{props.update &&
+							<MenuItem onClick={() => { menuSet(false); updateSet(b => !b); }} selected={update}>
+								<ListItemIcon>
+									<i className="fa-solid fa-edit" />
+								</ListItemIcon>
+								Edit the record
+							</MenuItem>
+						}
+						{props.remove &&
+							<MenuItem onClick={() => { menuSet(false); removeSet(true); }}>
+								<ListItemIcon>
+									<i className="fa-solid fa-trash-alt" />
+								</ListItemIcon>
+								Delete the record
+							</MenuItem>
+						}
+						{props.menu.map((o,i) =>
+							<MenuItem key={'menu_' + i} onClick={ev => {
+								menuSet(false);
+								o.callback(props.data);
+							}}>
+								{o.icon &&
+									<ListItemIcon>
+										<i className={o.icon} />
+									</ListItemIcon>
+								}
+								{o.title}
+							</MenuItem>
+						)}
+					</Menu>
 				}
-			}
-		}
-
-		lCells.push(
-			<TableCell key={i} className={'field_' + props.fields[i]}>
-				{mContent}
-			</TableCell>
+				{oRemove}
+			</Card>
 		);
 	}
 
@@ -367,59 +1680,34 @@ function ResultsRow(props) {
 						)}
 					</Menu>
 				}
-				{remove &&
-					<Dialog
-						onClose={() => removeSet(false)}
-						open={true}
-					>
-						<DialogTitle>Confirm Delete</DialogTitle>
-						<DialogContent>
-							<Typography>Please confirm you wish to delete this record.</Typography>
-						</DialogContent>
-						<DialogActions>
-							<Button color="secondary" onClick={() => removeSet(false)} variant="contained">Cancel</Button>
-							<Button color="primary" onClick={() => {removeSet(false); props.remove(props.data[props.info.primary])}} variant="contained">Delete</Button>
-						</DialogActions>
-					</Dialog>
-				}
+				{oRemove}
 			</TableCell>
 		);
 	}
 
+	// Number of columns the full width rows need to span
+	const iColSpan = props.fields.length + (props.selectable ? 2 : 1);
+
 	return (
 		<React.Fragment>
-			<TableRow>
+			<TableRow
+				className={props.styles ? props.styles.row.className : undefined}
+				selected={props.selected}
+				sx={props.styles ? props.styles.row.sx : undefined}
+			>
 				{lCells}
 			</TableRow>
 			{update &&
 				<TableRow>
-					<TableCell colSpan={props.fields.length + 1}>
-						<FormComponent
-							cancel={() => updateSet(false)}
-							errors={props.errors}
-							gridSizes={props.gridSizes}
-							gridSpacing={props.gridSpacing}
-							noun={props.info.noun}
-							service={props.info.service}
-							success={updateSuccess}
-							tree={props.info.tree}
-							type="update"
-							value={props.data}
-						/>
+					<TableCell colSpan={iColSpan}>
+						{oUpdate}
 					</TableCell>
 				</TableRow>
 			}
 			{omap(actions, (b,i) =>
 				<TableRow key={i} className="action_row">
-					<TableCell colSpan={props.fields.length + 1}>
-						{b === true ? React.createElement(props.actions[i].component, {
-							onClose: () => action(i),
-							value: props.data
-						}) : React.createElement(props.actions[i].component, {
-							onClose: () => action(i),
-							value: props.data,
-							...b
-						})}
+					<TableCell colSpan={iColSpan}>
+						{actionComponent(i, b)}
 					</TableCell>
 				</TableRow>
 			)}
@@ -430,6 +1718,8 @@ function ResultsRow(props) {
 // Valid props
 ResultsRow.propTypes = {
 	actions: PropTypes.oneOfType([PropTypes.array, PropTypes.bool]).isRequired,
+	card: PropTypes.bool,
+	changed: PropTypes.func,
 	custom: PropTypes.object.isRequired,
 	data: PropTypes.object.isRequired,
 	errors: PropTypes.object.isRequired,
@@ -445,12 +1735,93 @@ ResultsRow.propTypes = {
 	),
 	gridSpacing: PropTypes.number,
 	info: PropTypes.object.isRequired,
+	inline: PropTypes.oneOfType([PropTypes.func, PropTypes.bool]),
 	menu: PropTypes.array.isRequired,
 	options: PropTypes.object.isRequired,
 	remove: PropTypes.oneOfType([PropTypes.func, PropTypes.bool]).isRequired,
+	select: PropTypes.func,
+	selectable: PropTypes.bool,
+	selected: PropTypes.bool,
+	styles: PropTypes.exact({
+		cells: PropTypes.object.isRequired,
+		row: PropTypes.object.isRequired
+	}),
+	titles: PropTypes.object,
 	update: PropTypes.oneOfType([PropTypes.func, PropTypes.bool]).isRequired
 }
 
+/**
+ * Selection Bar
+ *
+ * Displays the number of selected records along with the bulk actions that
+ * can be run on them
+ *
+ * @name SelectionBar
+ * @access private
+ * @param Object props Properties passed to the component
+ * @return React.Component
+ */
+function SelectionBar(props) {
+
+	// State
+	let [remove, removeSet] = useState(false);
+
+	// Render
+	return (
+		<Toolbar className="selection">
+			<Typography className="count">
+				{props.all ? `All ${props.count} records selected` : `${props.count} selected`}
+			</Typography>
+			{props.selectAll &&
+				<Button onClick={props.selectAll}>Select all {props.total} records</Button>
+			}
+			<Button onClick={props.clear}>Clear</Button>
+			<span className="flexGrow" />
+			{props.bulkActions.map((o,i) =>
+				<Tooltip key={i} title={o.title}>
+					<IconButton className="icon" onClick={ev => o.callback(props.records())}>
+						<i className={o.icon} />
+					</IconButton>
+				</Tooltip>
+			)}
+			{props.remove &&
+				<Tooltip title="Delete the selected records">
+					<IconButton className="icon" onClick={() => removeSet(true)}>
+						<i className="fa-solid fa-trash-alt" />
+					</IconButton>
+				</Tooltip>
+			}
+			{remove &&
+				<Dialog
+					onClose={() => removeSet(false)}
+					open={true}
+				>
+					<DialogTitle>Confirm Delete</DialogTitle>
+					<DialogContent>
+						<Typography>Please confirm you wish to delete {props.count} record(s).</Typography>
+					</DialogContent>
+					<DialogActions>
+						<Button color="secondary" onClick={() => removeSet(false)} variant="contained">Cancel</Button>
+						<Button color="primary" onClick={() => {removeSet(false); props.remove()}} variant="contained">Delete</Button>
+					</DialogActions>
+				</Dialog>
+			}
+		</Toolbar>
+	);
+}
+
+// Valid props
+SelectionBar.propTypes = {
+	all: PropTypes.bool.isRequired,
+	bulkActions: PropTypes.array.isRequired,
+	clear: PropTypes.func.isRequired,
+	count: PropTypes.number.isRequired,
+	records: PropTypes.func.isRequired,
+	remove: PropTypes.oneOfType([PropTypes.func, PropTypes.bool]).isRequired,
+	selectAll: PropTypes.oneOfType([PropTypes.func, PropTypes.bool]).isRequired,
+	total: PropTypes.number.isRequired
+}
+
 /**
  * Totals Row
  *
@@ -467,27 +1838,57 @@ function TotalsRow(props) {
 	let oCells = {};
 	for(let f of props.fields) {
 
-		// If it's elapsed time
-		if(['time_elapsed', 'time_average'].includes(props.info.types[f])) {
-			oCells[f] = elapsed(props.totals[f]);
+		// If there's no total for the field
+		if(!props.totals[f] ||
+			props.totals[f].value === undefined ||
+			props.totals[f].value === null) {
+			oCells[f] = '';
+			continue;
+		}
+
+		// Get the total
+		let oTotal = props.totals[f];
+		let mContent = null;
+
+		// If it's a count, the value stays as is
+		if(['count', 'distinct'].includes(oTotal.name)) {
+			mContent = String(oTotal.value);
 		}
 
-		// Else the value stays as is
+		// Else if it's elapsed time
+		else if(['time_elapsed', 'time_average'].includes(props.info.types[f])) {
+			mContent = elapsed(oTotal.value);
+		}
+
+		// Else, use the renderer for the field
 		else {
-			oCells[f] = props.totals[f] || ''
+			mContent = cellContent(f, oTotal.value, {}, props.info.types, props.options);
 		}
+
+		// Add the label and the content
+		oCells[f] = (
+			<React.Fragment>
+				<span className="aggregate">{oTotal.label}</span>
+				{mContent}
+			</React.Fragment>
+		);
 	}
 
 	// Render
 	return (
-		<TableRow>
+		<TableRow className={props.className}>
+			{props.selectable &&
+				<TableCell key={-2} className="total select" padding="checkbox">
+					&nbsp;
+				</TableCell>
+			}
 			{props.fields.map((f,i) =>
 				<TableCell key={i} className={'total field_' + f}>
 					{oCells[f]}
 				</TableCell>
 			)}
 			<TableCell key={-1} className="total actions" align="right">
-				&nbsp;
+				{props.label}
 			</TableCell>
 		</TableRow>
 	);
@@ -496,8 +1897,12 @@ function TotalsRow(props) {
 // Valid props
 TotalsRow.propTypes = {
 	actions: PropTypes.bool.isRequired,
+	className: PropTypes.string,
 	fields: PropTypes.array.isRequired,
 	info: PropTypes.object.isRequired,
+	label: PropTypes.string,
+	options: PropTypes.object.isRequired,
+	selectable: PropTypes.bool,
 	totals: PropTypes.object.isRequired
 }
 
@@ -531,33 +1936,39 @@ export default class Results extends React.PureComponent {
 			oReact.copyPrimary = true;
 		}
 
-		// Set fields from either props, the react section, or from all nodes
-		//	in the tree
+		// Set the default fields from either props, the react section, or from
+		//	all nodes in the tree
 		if(props.fields.length !== 0) {
-			this.fields = props.fields;
+			this.defaultFields = props.fields;
 		} else if('results' in oReact) {
-			this.fields = oReact['results'];
+			this.defaultFields = oReact['results'];
 		} else if('order' in oReact) {
-			this.fields = oReact['order'];
+			this.defaultFields = oReact['order'];
 		} else {
-			this.fields = this.props.tree.keys();
+			this.defaultFields = this.props.tree.keys();
 		}
 
-		// Generate the list of titles, types, and options
-		this.titles = [];
+		// Every column that can be displayed, the default fields followed by
+		//	any other simple nodes in the tree
+		this.columns = this.defaultFields.concat(
+			this.props.tree.keys().filter(k =>
+				!this.defaultFields.includes(k) &&
+				this.props.tree.get(k).class() === 'Node'
+			)
+		);
+
+		// Generate the titles, types, and options
+		this.titles = {};
 		let oTypes = {};
 		let oOptions = {};
 		this.dynCallbacks = {};
-		for(let k of this.fields) {
+		for(let k of this.columns) {
 
 			// Get the react section
 			let oNode = props.tree.get(k).special('ui') || {};
 
 			// Set the title
-			this.titles.push({
-				key: k,
-				text: ('title' in oNode) ? oNode.title : ucfirst(k.replace(/_/g, ' '))
-			});
+			this.titles[k] = ('title' in oNode) ? oNode.title : ucfirst(k.replace(/_/g, ' '));
 
 			// Set the type
 			//	If we have a specifically passed type
@@ -601,140 +2012,495 @@ export default class Results extends React.PureComponent {
 			types: oTypes
 		}
 
+		// Store the kind of filter each column uses, unless filtering is turned
+		//	off for the column in the react section of the node
+		this.filterKinds = {};
+		if(props.filterable && !props.remote) {
+			for(let k of this.columns) {
+				let oNode = props.tree.get(k).special('ui') || {};
+				let sKind = oNode.filter === false ? null : filterKind(oTypes[k], oOptions[k]);
+				if(sKind) {
+					this.filterKinds[k] = sKind;
+				}
+			}
+		}
+
+		// Store the declarative style rules for each column from the react
+		//	section of the node
+		this.rules = {};
+		for(let k of this.columns) {
+			let oNode = props.tree.get(k).special('ui') || {};
+			if(oNode.rules) {
+				this.rules[k] = oNode.rules.map(o => ruleCompile(o, oTypes[k]));
+			}
+		}
+
+		// Init the caches used to avoid filtering the data, or calculating the
+		//	totals, on every render
+		this.filterCache = {};
+		this.totalsCache = {};
+
+		// Store the aggregate of each column for the totals, from props, the
+		//	react section of the node, or a default based on the type
+		this.aggregates = {};
+		if(props.totals) {
+			for(let k of this.columns) {
+				let oNode = props.tree.get(k).special('ui') || {};
+				let mAggregate = (isObject(props.totals) && k in props.totals) ?
+									props.totals[k] :
+									oNode.total;
+				if(mAggregate === undefined || mAggregate === true) {
+					mAggregate = _aggregateDefaults[oTypes[k]];
+				}
+				if(typeof mAggregate === 'function' || mAggregate in _aggregates) {
+					this.aggregates[k] = mAggregate;
+				}
+			}
+		}
+
+		// Init the counter used to ignore stale remote responses
+		this.request = 0;
+
+		// Init the heights measured and the scroll position since the last
+		//	render, and the pending animation frame, used when only the
+		//	visible rows are rendered
+		this.heights = {};
+		this.frame = null;
+		this.scrollTop = 0;
+		this.spacer = null;
+
+		// If cards are used on small screens, init the media query that
+		//	decides when to switch to them
+		this.cardsQuery = cardsQuery(props.cards);
+
 		// Initial state
 		this.state = {
-			data: props.data,
+			cards: this.cardsQuery ? this.cardsQuery.matches : false,
+			count: props.remote ? (props.count !== null ? props.count : 0) : props.data.length,
+			data: (props.remote && props.count === null) ? [] : props.data,
+			fields: this.fieldsLoad(),
+			filter: '',
+			filters: {},
+			heights: {},
+			loading: false,
 			options: oOptions,
-			order: props.order,
-			orderBy: props.orderBy,
-			page: 0,
+			sort: [{order: props.order, orderBy: props.orderBy}],
+			page: props.page || 0,
 			rowsPerPage: parseInt(localStorage.getItem('rowsPerPage')) || 10,
-			totals: props.totals ? this.calculateTotals(oTypes, props.data) : {}
+			scrollTop: 0,
+			selected: {},
+			totals: (props.remote && props.count !== null && props.totals) ?
+						this.calculateTotals(oTypes, props.data) :
+						{}
 		}
 
 		// Bind methods
+		this.cardsChange = this.cardsChange.bind(this);
 		this.exportCsv = this.exportCsv.bind(this);
+		this.exportData = this.exportData.bind(this);
+		this.fieldsChange = this.fieldsChange.bind(this);
+		this.fieldsReset = this.fieldsReset.bind(this);
+		this.filterChange = this.filterChange.bind(this);
+		this.filterColumn = this.filterColumn.bind(this);
+		this.filterReset = this.filterReset.bind(this);
 		this.orderChange = this.orderChange.bind(this);
 		this.pageChange = this.pageChange.bind(this);
 		this.perPageChange = this.perPageChange.bind(this);
 		this.recordChanged = this.recordChanged.bind(this);
+		this.recordInline = this.recordInline.bind(this);
 		this.recordRemoved = this.recordRemoved.bind(this);
+		this.refresh = this.refresh.bind(this);
+		this.renderRow = this.renderRow.bind(this);
+		this.rowMeasured = this.rowMeasured.bind(this);
+		this.scrolled = this.scrolled.bind(this);
+		this.select = this.select.bind(this);
+		this.selectAll = this.selectAll.bind(this);
+		this.selectClear = this.selectClear.bind(this);
+		this.selectedRecords = this.selectedRecords.bind(this);
+		this.selectedRemove = this.selectedRemove.bind(this);
+		this.selectPage = this.selectPage.bind(this);
+	}
+
+	// Returns the number of columns a row needs to span the entire table
+	colSpan() {
+		return this.state.fields.length + (this.props.selectable ? 2 : 1);
+	}
+
+	// Called when the screen crosses the breakpoint for displaying cards
+	cardsChange(ev) {
+		this.setState({cards: ev.matches});
 	}
 
 	componentDidMount() {
 		for(let f in this.dynCallbacks) {
 			this.dynCallbacks[f].sd.track(this.dynCallbacks[f].callback);
 		}
+
+		// Track the screen size if we use cards
+		if(this.cardsQuery) {
+			this.cardsQuery.addEventListener('change', this.cardsChange);
+		}
+
+		// If we're in remote mode, and we weren't given the first page, fetch
+		//	it
+		if(this.props.remote && this.props.count === null) {
+			this.refresh();
+		}
 	}
 
 	componentWillUnmount() {
 		for(let f in this.dynCallbacks) {
 			this.dynCallbacks[f].sd.track(this.dynCallbacks[f].callback, true);
 		}
+
+		// Stop tracking the screen size
+		if(this.cardsQuery) {
+			this.cardsQuery.removeEventListener('change', this.cardsChange);
+		}
+
+		// Ignore any request still in progress
+		++this.request;
+
+		// Cancel any pending animation frame
+		if(this.frame) {
+			cancelAnimationFrame(this.frame);
+		}
 	}
 
 	componentDidUpdate(prevProps) {
-		if(prevProps.data !== this.props.data) {
-			let oState = {data: this.props.data};
+		if(!this.props.remote && prevProps.data !== this.props.data) {
+			this.setState({
+				count: this.props.data.length,
+				data: this.props.data
+			});
+		}
+
+		// If we're in remote mode and the page is passed to us, e.g. by a
+		//	Search, show the new page
+		else if(this.props.remote && this.props.count !== null && (
+			prevProps.data !== this.props.data ||
+			prevProps.count !== this.props.count ||
+			prevProps.page !== this.props.page
+		)) {
+			let oState = {
+				count: this.props.count,
+				data: this.props.data,
+				page: this.props.page || 0
+			};
 			if(this.props.totals) {
 				oState.totals = this.calculateTotals(this.info.types, this.props.data);
 			}
 			this.setState(oState);
 		}
+
+		// If the breakpoint for cards changed, track the new one instead
+		if(prevProps.cards !== this.props.cards) {
+			if(this.cardsQuery) {
+				this.cardsQuery.removeEventListener('change', this.cardsChange);
+			}
+			this.cardsQuery = cardsQuery(this.props.cards);
+			if(this.cardsQuery) {
+				this.cardsQuery.addEventListener('change', this.cardsChange);
+			}
+			this.setState({cards: this.cardsQuery ? this.cardsQuery.matches : false});
+		}
+	}
+
+	// Called to request a single page of data using the current pagination
+	//	and sorting, or the details passed to override them
+	fetch(override={}) {
+
+		// Generate the request details
+		const oDetails = {
+			order: this.state.sort[0].order,
+			orderBy: this.state.sort[0].orderBy,
+			page: this.state.page,
+			rowsPerPage: this.state.rowsPerPage,
+			sort: this.state.sort,
+			...override
+		};
+
+		// If we have a loader, use it
+		if(typeof this.props.remote === 'function') {
+			return this.props.remote(oDetails);
+		}
+
+		// Else, use the service/noun
+		return new Promise((resolve, reject) => {
+			rest.read(this.props.service, this.props.noun, oDetails).then(res => {
+
+				// If there's a warning
+				if(res.warning) {
+					events.trigger('warning', res.warning);
+				}
+
+				// If there's an error, pass it along unless it's been handled
+				if(res.error) {
+					reject(res._handled ? null : res.error);
+				}
+
+				// Else, if there's data
+				else if(res.data) {
+					resolve(res.data);
+				}
+
+				// Else, the response is empty
+				else {
+					reject('No data returned from ' + this.props.service + '/' + this.props.noun);
+				}
+			}, error => {
+
+				// If the request itself failed, pass it along
+				reject(error);
+			});
+		});
+	}
+
+	// Returns the label and value of each column's aggregate on the data
+	calculateTotals(types, data) {
+
+		// Init the totals
+		let oTotals = {};
+
+		// If we have data
+		if(data.length > 0) {
+
+			// Go through each column with an aggregate
+			for(let f in this.aggregates) {
+
+				// Get the aggregate and the non-empty values
+				const mAggregate = this.aggregates[f];
+				const lValues = data.map(d => d[f]).filter(m =>
+					m !== undefined && m !== null && m !== ''
+				);
+
+				// If it's a custom function
+				if(typeof mAggregate === 'function') {
+					oTotals[f] = {
+						label: 'Total',
+						name: 'custom',
+						value: mAggregate(lValues, data)
+					};
+				}
+
+				// Else, use the named aggregate
+				else {
+					oTotals[f] = {
+						label: _aggregates[mAggregate].label,
+						name: mAggregate,
+						value: _aggregates[mAggregate].calculate(lValues, types[f])
+					};
+				}
+			}
+		}
+
+		// Return the new totals
+		return oTotals;
+	}
+
+	// Called to export the filtered rows as CSV
+	exportCsv() {
+		this.exportData('csv', 'filtered');
+	}
+
+	/**
+	 * Export Data
+	 *
+	 * Generates a file of the visible columns, using the same text as the
+	 * table cells, and sends it to the user
+	 *
+	 * @name exportData
+	 * @access public
+	 * @param String format One of 'csv', 'json', 'tsv', or 'xlsx'
+	 * @param String scope One of 'page', 'filtered', or 'all'
+	 */
+	exportData(format, scope) {
+
+		// Get the format details
+		const oFormat = _exportFormats[format];
+
+		// Called with the rows to export
+		const generate = rows => {
+
+			// If there's no data, do nothing
+			if(rows.length === 0) {
+				events.trigger('error', 'No data to export');
+				return;
+			}
+
+			// Mark the columns that hold numbers, as long as they aren't
+			//	displayed using options
+			const lNumeric = this.state.fields.map(k =>
+				_numericTypes.includes(this.info.types[k]) && !this.state.options[k]
+			);
+
+			// Generate the header and the text of each cell. If the format
+			//	stores numbers, numeric columns use the raw value instead of
+			//	the displayed text, e.g. 12.50 instead of $12.50
+			const lHeader = this.state.fields.map(k => this.titles[k]);
+			const lRows = rows.map(o =>
+				this.state.fields.map((k, i) =>
+					(oFormat.numeric && lNumeric[i] && o[k] !== null && o[k] !== undefined) ?
+						String(o[k]) :
+						cellText(k, o[k], o, this.info.types, this.state.options)
+				)
+			);
+
+			// Generate a date to append to the filename
+			let date = new Date();
+
+			// Generate the file and send it to the user
+			Export.download(
+				oFormat.generate(lHeader, lRows, this.props.tree._name, lNumeric),
+				oFormat.type,
+				this.props.tree._name + '_' + date.toISOString() + '.' + format
+			);
+		}
+
+		// If we want the current page
+		if(scope === 'page') {
+			generate(this.pageData());
+		}
+
+		// Else, if we're in remote mode, fetch every row from the server
+		else if(this.props.remote) {
+			this.fetch({page: 0, rowsPerPage: -1}).then(res => {
+				generate(res.data);
+			}, error => {
+				if(error) {
+					events.trigger('error', error);
+				}
+			});
+		}
+
+		// Else, if we want every row, ignore any filters
+		else if(scope === 'all') {
+			generate(this.state.data);
+		}
+
+		// Else, use the filtered rows
+		else {
+			generate(this.filteredData());
+		}
 	}
 
-	calculateTotals(types, data) {
+	// Returns the rows across every page that match the quick and column
+	//	filters, cached until the data, filters, or visible columns change
+	filteredData() {
 
-		// Init the totals, types, and count
-		let oTotals = {};
-		let oTypes = {};
+		// If there's no filtering, return the data as is
+		if(!this.props.filterable || this.props.remote) {
+			return this.state.data;
+		}
 
-		// If we have data
-		if(data.length > 0) {
+		// If nothing has changed since the last time, return the same rows
+		const oCache = this.filterCache;
+		if(oCache.data === this.state.data &&
+			oCache.fields === this.state.fields &&
+			oCache.filter === this.state.filter &&
+			oCache.filters === this.state.filters &&
+			oCache.options === this.state.options) {
+			return oCache.rows;
+		}
 
-			// Go through each visible field
-			for(let f of this.fields) {
+		// Get the quick filter and the columns being filtered
+		const sFilter = this.state.filter.trim().toLowerCase();
+		const lColumns = Object.keys(this.state.filters);
 
-				// If the field is numeric
-				if(['int', 'uint', 'float', 'time_elapsed', 'time_average'].includes(types[f])) {
-					oTotals[f] = 0;
-					oTypes[f] = 'numeric';
-				} else if(types[f] === 'decimal') {
-					oTotals[f] = new Decimal('0.0');
-					oTypes[f] = 'decimal';
-				} else if(types[f] === 'price') {
-					oTotals[f] = new Decimal('0.00');
-					oTypes[f] = 'decimal';
-				}
-			}
+		// Returns the text displayed for a field of a record
+		const text = (record, field) => String(cellText(
+			field, record[field], record, this.info.types, this.state.options
+		));
 
-			// Go through all the data
-			for(let d of data) {
+		// Go through each record
+		let lRows = this.state.data.filter(o => {
 
-				// Go through each allowed type
-				for(let f in oTypes) {
+			// If there's a quick filter, at least one visible field must
+			//	contain it
+			if(sFilter !== '' && !this.state.fields.some(k =>
+				text(o, k).toLowerCase().includes(sFilter)
+			)) {
+				return false;
+			}
 
-					// If the type is numeric
-					if(oTypes[f] === 'numeric') {
-						oTotals[f] += d[f] || 0;
-					}
+			// Every column filter must match
+			return lColumns.every(k => filterMatch(
+				this.filterKinds[k],
+				this.info.types[k],
+				this.state.filters[k],
+				o[k],
+				() => text(o, k)
+			));
+		});
 
-					// Else if it's decimal
-					else if(oTypes[f] === 'decimal') {
-						oTotals[f] = oTotals[f].plus(d[f] || 0)
-					}
-				}
-			}
+		// Store the rows and what was used to generate them, then return them
+		this.filterCache = {
+			data: this.state.data,
+			fields: this.state.fields,
+			filter: this.state.filter,
+			filters: this.state.filters,
+			options: this.state.options,
+			rows: lRows
+		};
+		return lRows;
+	}
 
-			// Go through the fields again to adjust based on some types
-			for(let f of this.fields) {
+	// Called when the quick filter changes
+	filterChange(value) {
+		this.setState({filter: value, page: 0});
+	}
 
-				// If we have an average time
-				if(types[f] === 'time_average') {
-					oTotals[f] = ~~(oTotals[f]/data.length);
-				}
-			}
+	// Called when the filter of a single column changes
+	filterColumn(field, value) {
+		let oFilters = {...this.state.filters};
+		if(value === undefined) {
+			delete oFilters[field];
+		} else {
+			oFilters[field] = value;
 		}
+		this.setState({filters: oFilters, page: 0});
+	}
 
-		// Return the new totals
-		return oTotals;
+	// Called to clear the quick filter and every column filter
+	filterReset() {
+		this.setState({filter: '', filters: {}, page: 0});
 	}
 
-	exportCsv() {
+	// Called when the user changes the visible columns or their order
+	fieldsChange(fields) {
+		localStorage.setItem(this.fieldsStorageKey(), JSON.stringify(fields));
+		this.setState({fields: fields});
+	}
 
-		// If there's no data, do nothing
-		if(this.state.data.length === 0) {
-			events.trigger('error', 'No data to export to CSV');
-			return;
-		}
+	// Returns the visible columns saved for the tree, or the default ones
+	fieldsLoad() {
 
-		// Generate the header
-		let lHeader = [];
-		for(let k of Object.keys(this.state.data[0])) {
-			lHeader.push({"id": k, "title": k});
+		// Try to get the saved fields
+		let lFields = null;
+		try {
+			lFields = JSON.parse(localStorage.getItem(this.fieldsStorageKey()));
+		} catch(e) {
+			lFields = null;
 		}
 
-		// Create the CSV write instance
-		let csvStringifier = createObjectCsvStringifier({
-			"header": lHeader
-		})
+		// If we got a list, remove anything no longer in the tree
+		if(Array.isArray(lFields)) {
+			lFields = lFields.filter(k => this.columns.includes(k));
+		}
 
-		// Generate the "file"
-		let csv = 'data:text/csv;charset=utf-8,' + encodeURI(
-			csvStringifier.getHeaderString() +
-			csvStringifier.stringifyRecords(this.state.data)
-		);
+		// Return the saved fields, or the defaults
+		return (lFields && lFields.length) ? lFields : this.defaultFields;
+	}
 
-		// Generate a date to append to the filename
-		let date = new Date();
+	// Called to reset the visible columns to the defaults
+	fieldsReset() {
+		localStorage.removeItem(this.fieldsStorageKey());
+		this.setState({fields: this.defaultFields});
+	}
 
-		// Export by generating and clicking a fake link
-		let link = document.createElement('a');
-		link.setAttribute('href', csv);
-		link.setAttribute('download', this.props.tree._name + '_' + date.toISOString() + '.csv');
-		document.body.appendChild(link);
-		link.click();
-		document.body.removeChild(link);
+	// Returns the name the visible columns are stored under
+	fieldsStorageKey() {
+		return 'resultsFields_' + this.props.tree._name;
 	}
 
 	optionCallback(field, options) {
@@ -745,27 +2511,80 @@ export default class Results extends React.PureComponent {
 
 	orderChange(event) {
 
-		// Save the new orderBy
+		// Get the key clicked on
 		let orderBy = event.currentTarget.dataset.key;
-		let order = '';
 
-		// If it hasn't actually changed, switch it, else use the order we have
-		if(orderBy === this.state.orderBy) {
-			order = this.state.order === 'asc' ? 'desc' : 'asc';
-		} else {
-			order = this.state.order;
+		// Copy the current sort
+		let lSort = this.state.sort.slice();
+
+		// Look for the key in the current sort
+		let iIndex = afindi(lSort, 'orderBy', orderBy);
+
+		// If shift is held, add the key as a secondary sort, or switch its
+		//	order if it's already being sorted on
+		if(event.shiftKey) {
+			if(iIndex > -1) {
+				lSort[iIndex] = {
+					order: lSort[iIndex].order === 'asc' ? 'desc' : 'asc',
+					orderBy: orderBy
+				};
+			} else {
+				lSort.push({order: 'asc', orderBy: orderBy});
+			}
+		}
+
+		// Else, sort by the key alone. If it hasn't actually changed, switch
+		//	it, else use the order we have
+		else {
+			if(iIndex === 0 && lSort.length === 1) {
+				lSort = [{
+					order: lSort[0].order === 'asc' ? 'desc' : 'asc',
+					orderBy: orderBy
+				}];
+			} else {
+				lSort = [{order: lSort[0].order, orderBy: orderBy}];
+			}
+		}
+
+		// If we're in remote mode, let the server sort it
+		if(this.props.remote) {
+			this.setState({
+				page: 0,
+				sort: lSort
+			}, this.refresh);
+			return;
 		}
 
 		// Save the new state
 		this.setState({
-			data: this.sortData(clone(this.state.data), order, orderBy),
-			order: order,
-			orderBy: orderBy
+			data: this.sortData(clone(this.state.data), lSort),
+			sort: lSort
 		});
 	}
 
+	// Returns the rows to display on the current page
+	pageData() {
+
+		// If we're in remote mode, the data is already the page
+		if(this.props.remote) {
+			return this.state.data;
+		}
+
+		// Get the filtered data, if we're showing all, return it as is
+		const lData = this.filteredData();
+		if(this.state.rowsPerPage <= 0) {
+			return lData;
+		}
+
+		// Else, return the slice for the current page
+		return lData.slice(
+			this.state.page * this.state.rowsPerPage,
+			this.state.page * this.state.rowsPerPage + this.state.rowsPerPage
+		);
+	}
+
 	pageChange(event, page) {
-		this.setState({"page": page})
+		this.setState({"page": page}, this.props.remote ? this.refresh : undefined);
 	}
 
 	perPageChange(event) {
@@ -773,79 +2592,180 @@ export default class Results extends React.PureComponent {
 		this.setState({
 			"rowsPerPage": parseInt(event.target.value),
 			"page": 0
-		});
+		}, this.props.remote ? this.refresh : undefined);
 	}
 
 	render() {
+
+		// Get the rows for the current page, and the number of rows across
+		//	every page
+		const lRows = this.pageData();
+		const iCount = this.props.remote ? this.state.count : this.filteredData().length;
+
+		// Should only the visible rows be rendered
+		const bVirtual = !this.state.cards && this.props.virtualize !== false && (
+			this.props.virtualize === true ?
+				this.state.rowsPerPage <= 0 :
+				lRows.length > this.props.virtualize
+		);
+
+		// If rows can be selected, figure out the selection state
+		let iSelected = 0, iPageSelected = 0;
+		if(this.props.selectable) {
+			iSelected = this.selectedRecords().length;
+			iPageSelected = lRows.filter(o =>
+				this.state.selected[o[this.info.primary]]
+			).length;
+		}
+
+		// The filter and selection bars
+		const oBars = (
+			<React.Fragment>
+				{(this.props.filterable && !this.props.remote) &&
+					<FilterBar
+						change={this.filterChange}
+						clear={this.filterReset}
+						columns={Object.keys(this.state.filters).length > 0}
+						count={iCount}
+						total={this.state.data.length}
+						value={this.state.filter}
+					/>
+				}
+				{iSelected > 0 &&
+					<SelectionBar
+						all={iSelected === iCount && iSelected > lRows.length}
+						bulkActions={this.props.bulkActions}
+						clear={this.selectClear}
+						count={iSelected}
+						records={this.selectedRecords}
+						remove={this.props.remove ? this.selectedRemove : false}
+						selectAll={(!this.props.remote &&
+									iPageSelected === lRows.length &&
+									iSelected < iCount) ?
+									this.selectAll : false}
+						total={iCount}
+					/>
+				}
+			</React.Fragment>
+		);
+
+		// If we're displaying cards
+		if(this.state.cards) {
+			return this.renderCards(lRows, iCount, iPageSelected, oBars);
+		}
+
 		return (
-			<TableContainer className="results">
+			<TableContainer
+				className={'results' + (bVirtual ? ' virtual' : '')}
+				onScroll={bVirtual ? this.scrolled : undefined}
+				style={bVirtual ? {maxHeight: this.props.virtualHeight} : undefined}
+			>
+				{oBars}
 				<Table stickyHeader aria-label="sticky table">
 					<TableHead>
 						<TableRow>
-							{this.titles.map(title => (
-								<TableCell
-									key={title.key}
-									sortDirection={this.state.orderBy === title.key ? this.state.order : false}
-									className={'field_' + title.key}
-								>
-									<TableSortLabel
-										active={this.state.orderBy === title.key}
-										direction={this.state.orderBy === title.key ? this.state.order : 'asc'}
-										data-key={title.key}
-										onClick={this.orderChange}
-									>
-										{title.text}
-									</TableSortLabel>
+							{this.props.selectable &&
+								<TableCell className="select" padding="checkbox">
+									<Checkbox
+										checked={lRows.length > 0 && iPageSelected === lRows.length}
+										indeterminate={iPageSelected > 0 && iPageSelected < lRows.length}
+										inputProps={{'aria-label': 'Select all records on the page'}}
+										onChange={ev => this.selectPage(ev.target.checked)}
+									/>
 								</TableCell>
-							))}
+							}
+							{this.state.fields.map(k => {
+								const iSort = afindi(this.state.sort, 'orderBy', k);
+								return (
+									<TableCell
+										key={k}
+										sortDirection={iSort > -1 ? this.state.sort[iSort].order : false}
+										className={'field_' + k}
+									>
+										<TableSortLabel
+											active={iSort > -1}
+											direction={iSort > -1 ? this.state.sort[iSort].order : 'asc'}
+											data-key={k}
+											onClick={this.orderChange}
+											title="Shift+click to add as a secondary sort"
+										>
+											{this.titles[k]}
+											{(iSort > -1 && this.state.sort.length > 1) &&
+												<sup className="sortPriority">{iSort + 1}</sup>
+											}
+										</TableSortLabel>
+										{k in this.filterKinds &&
+											<ColumnFilter
+												change={value => this.filterColumn(k, value)}
+												kind={this.filterKinds[k]}
+												options={this.info.types[k] === 'bool' ? _boolOptions : this.state.options[k]}
+												title={this.titles[k]}
+												type={this.info.types[k]}
+												value={this.state.filters[k]}
+											/>
+										}
+									</TableCell>
+								);
+							})}
 							{this.props.actions &&
 								<TableCell align="right" className="actions">
-									<Tooltip title="Export CSV">
-										<IconButton onClick={this.exportCsv}>
-											<i className="fa-solid fa-file-csv" />
-										</IconButton>
-									</Tooltip>
+									<ColumnsMenu
+										change={this.fieldsChange}
+										columns={this.columns}
+										fields={this.state.fields}
+										reset={this.fieldsReset}
+										titles={this.titles}
+									/>
+									<ExportMenu
+										export={this.exportData}
+										remote={this.props.remote ? true : false}
+									/>
 								</TableCell>
 							}
 						</TableRow>
 					</TableHead>
 					<TableBody>
-						{(this.state.rowsPerPage > 0 ?
-							this.state.data.slice(
-								this.state.page * this.state.rowsPerPage,
-								this.state.page * this.state.rowsPerPage + this.state.rowsPerPage
-							) : this.state.data).map(row =>
-							<ResultsRow
-								actions={this.props.actions}
-								custom={this.props.custom}
-								data={row}
-								errors={this.props.errors}
-								fields={this.fields}
-								gridSizes={this.props.gridSizes}
-								gridSpacing={this.props.gridSpacing}
+						{this.state.loading &&
+							<TableRow className="loading">
+								<TableCell colSpan={this.colSpan()} padding="none">
+									<LinearProgress />
+								</TableCell>
+							</TableRow>
+						}
+						{!bVirtual && lRows.map(this.renderRow)}
+					</TableBody>
+					{bVirtual &&
+						this.renderVirtual(lRows)
+					}
+					<TableFooter>
+						{(this.props.totals && this.props.subtotals && !this.props.remote &&
+							lRows.length < iCount) &&
+							<TotalsRow
+								actions={this.props.actions ? true : false}
+								className="subtotals"
+								fields={this.state.fields}
 								info={this.info}
-								key={row[this.info.primary]}
-								menu={this.props.menu}
+								label="Page"
 								options={this.state.options}
-								remove={this.props.remove ? this.recordRemoved : false}
-								types={this.state.types}
-								update={this.props.update}
+								selectable={this.props.selectable}
+								totals={this.calculateTotals(this.info.types, lRows)}
 							/>
-						)}
-					</TableBody>
-					<TableFooter>
+						}
 						{this.props.totals &&
 							<TotalsRow
 								actions={this.props.actions ? true : false}
-								fields={this.fields}
+								fields={this.state.fields}
 								info={this.info}
-								totals={this.state.totals || {}}
+								label={this.props.remote ? 'Page' : 'Total'}
+								options={this.state.options}
+								selectable={this.props.selectable}
+								totals={this.totals()}
 							/>
 						}
 						<TableRow>
 							<TablePagination
-								colSpan={this.titles.length + 1}
-								count={this.state.data.length}
+								colSpan={this.colSpan()}
+								count={iCount}
 								onPageChange={this.pageChange}
 								onRowsPerPageChange={this.perPageChange}
 								page={this.state.page}
@@ -864,6 +2784,133 @@ export default class Results extends React.PureComponent {
 		);
 	}
 
+	// Called to render the records of the page as cards on small screens
+	renderCards(rows, count, pageSelected, bars) {
+		return (
+			<Box className="results cards">
+				{bars}
+				<Toolbar className="cardsHeader" variant="dense">
+					{this.props.selectable &&
+						<Checkbox
+							checked={rows.length > 0 && pageSelected === rows.length}
+							indeterminate={pageSelected > 0 && pageSelected < rows.length}
+							inputProps={{'aria-label': 'Select all records on the page'}}
+							onChange={ev => this.selectPage(ev.target.checked)}
+						/>
+					}
+					<span className="flexGrow" />
+					{this.props.actions &&
+						<React.Fragment>
+							<ColumnsMenu
+								change={this.fieldsChange}
+								columns={this.columns}
+								fields={this.state.fields}
+								reset={this.fieldsReset}
+								titles={this.titles}
+							/>
+							<ExportMenu
+								export={this.exportData}
+								remote={this.props.remote ? true : false}
+							/>
+						</React.Fragment>
+					}
+				</Toolbar>
+				{this.state.loading &&
+					<LinearProgress />
+				}
+				{rows.map(this.renderRow)}
+				<TablePagination
+					component="div"
+					count={count}
+					onPageChange={this.pageChange}
+					onRowsPerPageChange={this.perPageChange}
+					page={this.state.page}
+					rowsPerPage={this.state.rowsPerPage}
+					rowsPerPageOptions={[10, 20, 50, { label: 'All', value: -1 }]}
+					ActionsComponent={PaginationActions}
+					SelectProps={{
+						inputProps: { 'aria-label': 'rows per page' },
+						native: true,
+					}}
+				/>
+			</Box>
+		);
+	}
+
+	// Called to render a single record
+	renderRow(row) {
+		return (
+			<ResultsRow
+				actions={this.props.actions}
+				card={this.state.cards}
+				changed={this.recordChanged}
+				custom={this.props.custom}
+				data={row}
+				errors={this.props.errors}
+				fields={this.state.fields}
+				gridSizes={this.props.gridSizes}
+				gridSpacing={this.props.gridSpacing}
+				info={this.info}
+				inline={this.props.inline ? this.recordInline : false}
+				key={row[this.info.primary]}
+				menu={this.props.menu}
+				options={this.state.options}
+				remove={this.props.remove ? this.recordRemoved : false}
+				select={this.select}
+				selectable={this.props.selectable}
+				selected={this.state.selected[row[this.info.primary]] ? true : false}
+				styles={this.styles(row)}
+				titles={this.titles}
+				types={this.state.types}
+				update={this.props.update}
+			/>
+		);
+	}
+
+	// Called to render only the rows in view, each in its own body so it can
+	//	be measured, with spacers in place of the rest
+	renderVirtual(rows) {
+
+		// Calculate the top of every row using the measured heights, or the
+		//	estimate for those not yet measured
+		let lTops = [0];
+		for(let i = 0; i < rows.length; ++i) {
+			const sKey = rows[i][this.info.primary];
+			lTops.push(lTops[i] + (this.state.heights[sKey] || _rowEstimate));
+		}
+
+		// Find the first and last rows in view, plus some overscan
+		const iFrom = this.state.scrollTop - _overscan;
+		const iTo = this.state.scrollTop + this.props.virtualHeight + _overscan;
+		let iStart = 0;
+		while(iStart < rows.length && lTops[iStart + 1] < iFrom) {
+			++iStart;
+		}
+		let iEnd = iStart;
+		while(iEnd < rows.length && lTops[iEnd] < iTo) {
+			++iEnd;
+		}
+
+		// Return the spacers and the visible rows
+		return [
+			<TableBody key="top" className="spacer" ref={el => this.spacer = el}>
+				<TableRow style={{height: lTops[iStart]}} />
+			</TableBody>,
+			...rows.slice(iStart, iEnd).map(row =>
+				<VirtualBody
+					key={row[this.info.primary]}
+					measure={this.rowMeasured}
+					rowKey={row[this.info.primary]}
+				>
+					{this.renderRow(row)}
+				</VirtualBody>
+			),
+			<TableBody key="bottom" className="spacer">
+				<TableRow style={{height: lTops[rows.length] - lTops[iEnd]}} />
+			</TableBody>
+		];
+	}
+
 	recordChanged(record) {
 
 		// Clone the state data
@@ -893,6 +2940,71 @@ export default class Results extends React.PureComponent {
 		}
 	}
 
+	// Called to save a single field edited inline, the promise is rejected
+	//	with the reason if the save fails
+	recordInline(record, field, value) {
+
+		// Get the primary key of the record
+		const mKey = record[this.info.primary];
+
+		// Generates a message from an error
+		const message = error => {
+			if(!isObject(error)) {
+				return error;
+			} else if(error.code === 1001) {
+				let oErrors = errorTree(error.msg);
+				return field in oErrors ? oErrors[field] : 'Invalid';
+			} else if(error.code in this.props.errors) {
+				return this.props.errors[error.code];
+			} else {
+				return error.code + ': ' + (typeof error.msg === 'string' ? error.msg : JSON.stringify(error.msg));
+			}
+		}
+
+		// If submit is overridden
+		if(typeof this.props.inline === 'function') {
+			return Promise.resolve(this.props.inline(mKey, field, value)).then(
+				res => res,
+				error => Promise.reject(message(error))
+			);
+		}
+
+		// Else, use the service/noun to update the field
+		return new Promise((resolve, reject) => {
+			rest.update(this.props.service, this.props.noun, {
+				[this.info.primary]: mKey,
+				[field]: value
+			}).then(res => {
+
+				// If there's a warning
+				if(res.warning) {
+					events.trigger('warning', res.warning);
+				}
+
+				// If there's an error
+				if(res.error) {
+					if(!res._handled) {
+						reject(message(res.error));
+					} else {
+						reject(null);
+					}
+					return;
+				}
+
+				// If there's data, else the record wasn't updated
+				if(res.data) {
+					resolve(res.data);
+				} else {
+					reject('Failed to save');
+				}
+			}, error => {
+
+				// If the request itself failed, roll back the edit
+				reject((error && error.code !== undefined) ? message(error) : 'Failed to save');
+			});
+		});
+	}
+
 	recordRemoved(key) {
 
 		// Send the key to the service via rest
@@ -921,39 +3033,483 @@ export default class Results extends React.PureComponent {
 				if(typeof this.props.remove === 'function') {
 					this.props.remove(key);
 				}
+
+				// If we're in remote mode, fetch the page again
+				if(this.props.remote) {
+					this.refresh();
+				}
+			}
+		});
+	}
+
+	/**
+	 * Refresh
+	 *
+	 * Fetches the current page from the server when in remote mode. Any
+	 * response to a previous request that hasn't finished yet is ignored
+	 *
+	 * @name refresh
+	 * @access public
+	 */
+	refresh() {
+
+		// Get a new request ID
+		const iRequest = ++this.request;
+
+		// Mark us as loading
+		this.setState({loading: true});
+
+		// Fetch the page
+		this.fetch().then(res => {
+
+			// If a newer request has been made, ignore this one
+			if(iRequest !== this.request) {
+				return;
+			}
+
+			// Store the new data and count
+			let oState = {
+				count: res.count,
+				data: res.data,
+				loading: false
+			};
+			if(this.props.totals) {
+				oState.totals = this.calculateTotals(this.info.types, res.data);
+			}
+			this.setState(oState);
+
+		}, error => {
+
+			// If a newer request has been made, ignore this one
+			if(iRequest !== this.request) {
+				return;
+			}
+
+			// Stop loading and notify of the error
+			this.setState({loading: false});
+			if(error) {
+				events.trigger('error', error);
+			}
+		});
+	}
+
+	// Called when a row rendered in virtual mode changes height
+	rowMeasured(key, height) {
+
+		// If the height hasn't changed, do nothing
+		const iHeight = key in this.heights ? this.heights[key] : this.state.heights[key];
+		if(iHeight === height) {
+			return;
+		}
+
+		// Store the height and re-render on the next frame
+		this.heights[key] = height;
+		this.virtualRender();
+	}
+
+	// Called when the table is scrolled in virtual mode, the position is
+	//	measured from the first row so the bars and header above are ignored
+	scrolled(ev) {
+		this.scrollTop = this.spacer ? Math.max(0,
+			ev.currentTarget.getBoundingClientRect().top -
+			this.spacer.getBoundingClientRect().top
+		) : ev.currentTarget.scrollTop;
+		this.virtualRender();
+	}
+
+	// Returns the className and sx of a row and each of its cells, or null if
+	//	there are no rules
+	styles(row) {
+
+		// If there are no rules, do nothing
+		if(!this.props.rowStyle &&
+			Object.keys(this.props.cellStyle).length === 0 &&
+			Object.keys(this.rules).length === 0) {
+			return null;
+		}
+
+		// Init the styles
+		let oRet = {cells: {}, row: {}};
+
+		// Apply the row rules
+		if(this.props.rowStyle) {
+			ruleApply(oRet.row, this.props.rowStyle, [row]);
+		}
+
+		// Go through each visible field
+		for(let f of this.state.fields) {
+			let oCell = {};
+			if(f in this.rules) {
+				ruleApply(oCell, this.rules[f], [row[f], row]);
+			}
+			if(f in this.props.cellStyle) {
+				ruleApply(oCell, this.props.cellStyle[f], [row[f], row]);
+			}
+			if(oCell.className || oCell.sx) {
+				oRet.cells[f] = {className: oCell.className || '', sx: oCell.sx};
+			}
+		}
+
+		// Return the styles
+		return oRet;
+	}
+
+	// Returns the totals for the footer, the page's in remote mode, else those
+	//	of the filtered rows, cached until they change
+	totals() {
+
+		// If we're in remote mode, use the totals of the page
+		if(this.props.remote) {
+			return this.state.totals;
+		}
+
+		// If the rows have changed, calculate the totals again
+		const lRows = this.filteredData();
+		if(this.totalsCache.rows !== lRows) {
+			this.totalsCache = {
+				rows: lRows,
+				totals: this.calculateTotals(this.info.types, lRows)
+			};
+		}
+
+		// Return the totals
+		return this.totalsCache.totals;
+	}
+
+	// Called to store the scroll position, and any measured heights, and
+	//	re-render on the next frame
+	virtualRender() {
+		if(this.frame === null) {
+			this.frame = requestAnimationFrame(() => {
+				const oHeights = this.heights;
+				this.frame = null;
+				this.heights = {};
+				this.setState(state => ({
+					heights: {...state.heights, ...oHeights},
+					scrollTop: this.scrollTop || 0
+				}));
+			});
+		}
+	}
+
+	// Called to select or deselect a single record, storing the record so it
+	//	can still be found once it's no longer on the page
+	select(key, checked) {
+		let oSelected = {...this.state.selected};
+		if(checked) {
+			oSelected[key] = this.state.data[
+				afindi(this.state.data, this.info.primary, key)
+			];
+		} else {
+			delete oSelected[key];
+		}
+		this.setState({selected: oSelected});
+	}
+
+	// Called to select every record in the results
+	selectAll() {
+		let oSelected = {};
+		for(let o of this.filteredData()) {
+			oSelected[o[this.info.primary]] = o;
+		}
+		this.setState({selected: oSelected});
+	}
+
+	// Called to clear the selection
+	selectClear() {
+		this.setState({selected: {}});
+	}
+
+	// Returns the records currently selected. In remote mode those selected
+	//	on other pages use the copy stored when they were selected
+	selectedRecords() {
+		if(!this.props.remote) {
+			return this.state.data.filter(o =>
+				this.state.selected[o[this.info.primary]]
+			);
+		}
+		let oPage = {};
+		for(let o of this.state.data) {
+			oPage[o[this.info.primary]] = o;
+		}
+		return Object.keys(this.state.selected).map(k =>
+			oPage[k] || this.state.selected[k]
+		);
+	}
+
+	// Called to delete every selected record, reporting any failures together
+	selectedRemove() {
+
+		// Get the keys of the selected records
+		const lKeys = this.selectedRecords().map(o => o[this.info.primary]);
+
+		// Send a request for each key, and keep track of the results
+		Promise.all(lKeys.map(key =>
+			rest.delete(this.props.service, this.props.noun, {
+				[this.info.primary]: key
+			}).then(res => {
+
+				// If there's a warning
+				if(res.warning) {
+					events.trigger('warning', res.warning);
+				}
+
+				// Return the key and any error
+				return {
+					key: key,
+					error: res.error ? res.error : (res.data ? false : 'Not deleted')
+				};
+			}, error => {
+				return {key: key, error: error};
+			})
+		)).then(results => {
+
+			// Init the list of errors and the new selection
+			let lErrors = [];
+			let oSelected = {...this.state.selected};
+
+			// Go through each result
+			for(let o of results) {
+
+				// If it failed, store the error
+				if(o.error) {
+					if(isObject(o.error) && o.error.code in this.props.errors) {
+						lErrors.push(`${o.key}: ${this.props.errors[o.error.code]}`);
+					} else if(isObject(o.error)) {
+						lErrors.push(`${o.key}: ${o.error.code} ${JSON.stringify(o.error.msg)}`);
+					} else {
+						lErrors.push(`${o.key}: ${o.error}`);
+					}
+				}
+
+				// Else, remove it from the selection and let the parent know
+				else {
+					delete oSelected[o.key];
+					if(typeof this.props.remove === 'function') {
+						this.props.remove(o.key);
+					}
+				}
+			}
+
+			// Store the new selection
+			this.setState({selected: oSelected});
+
+			// If anything failed, notify the user
+			if(lErrors.length) {
+				events.trigger('error',
+					`${lErrors.length} of ${results.length} records could not be deleted\n` +
+					lErrors.join('\n')
+				);
+			} else {
+				events.trigger('success', `${results.length} records deleted`);
+			}
+
+			// If we're in remote mode, fetch the page again
+			if(this.props.remote) {
+				this.refresh();
 			}
 		});
 	}
 
-	sortData(data, order, orderBy) {
+	// Called to select or deselect every record on the current page
+	selectPage(checked) {
+		let oSelected = {...this.state.selected};
+		for(let o of this.pageData()) {
+			if(checked) {
+				oSelected[o[this.info.primary]] = o;
+			} else {
+				delete oSelected[o[this.info.primary]];
+			}
+		}
+		this.setState({selected: oSelected});
+	}
+
+	sortData(data, sort) {
 
-		// Sort it based on the order and orderBy
+		// Sort it based on each order and orderBy in turn
 		data.sort((a,b) => {
+			for(let o of sort) {
+
+				// Get the values
+				let mA = a[o.orderBy];
+				let mB = b[o.orderBy];
+
+				// Treat undefined and null the same, and always put them last
+				let bA = mA === undefined || mA === null;
+				let bB = mB === undefined || mB === null;
+				if(bA && bB) {
+					continue;
+				} else if(bA) {
+					return 1;
+				} else if(bB) {
+					return -1;
+				}
 
-			// If the values are the same
-			if(a[orderBy] === b[orderBy]) {
-				return 0;
-			} else {
-				if(a[orderBy] > b[orderBy]) {
-					return order === 'asc' ? 1: -1;
-				} else {
-					return order === 'asc' ? -1 : 1;
+				// Compare the values, and if they're different, return the
+				//	result based on the order
+				let iRes = this.compare(o.orderBy, mA, mB);
+				if(iRes !== 0) {
+					return o.order === 'asc' ? iRes : -iRes;
 				}
 			}
+
+			// The values are the same
+			return 0;
 		});
 
 		// Return the sorted data
 		return data;
 	}
+
+	// Called to compare two values of a field, using the option labels if it
+	//	has any
+	compare(field, a, b) {
+
+		// If we have options for the field, compare the labels
+		let oOptions = this.state.options[field];
+		if(oOptions && oOptions !== true) {
+			return Results._comparators.string(
+				a in oOptions ? oOptions[a] : a,
+				b in oOptions ? oOptions[b] : b
+			);
+		}
+
+		// Else, use the comparator for the type
+		return compareType(this.info.types[field], a, b);
+	}
+}
+
+/**
+ * Register
+ *
+ * Static method for registering how values of a specific type are displayed
+ * in the table cells. The renderer receives the value, which is never
+ * undefined or null, and an object with the field, options, record, and type,
+ * and returns the content of the cell. If the content isn't a string or
+ * number, pass a text function taking the same arguments to be used when
+ * exporting. The type "options" is used for any field with options that has
+ * no renderer for its type, and "default" for everything else
+ *
+ * @name register
+ * @access public
+ * @param String type The type, or name, of the values to render
+ * @param Function renderer The function to render the value
+ * @param Function text Optional, the function to get the value as text
+ * @returns void
+ */
+Results._renderers = {};
+Results.register = (type, renderer, text=null) => {
+	Results._renderers[type] = {
+		render: renderer,
+		text: text
+	}
+}
+
+// Register the default renderers
+Results.register('bool', textBool);
+Results.register('default', (value, info) => {
+
+	// Get the text
+	const sText = textDefault(value);
+
+	// If we have a string with newlines, split it into paragraphs
+	if(sText.includes('\n')) {
+		return sText.split('\n').map((s,i) =>
+			<p key={i}>{s}</p>
+		);
+	}
+
+	// Else, return it as is
+	return sText;
+}, textDefault);
+Results.register('multiselectcsv', textMultiSelectCSV);
+Results.register('options', textOptions);
+Results.register('price', textPrice);
+Results.register('timestamp', textTimestamp);
+
+/**
+ * Content
+ *
+ * Static method that returns the content displayed for a single value using
+ * the registered renderers, so other components can display values exactly
+ * as they appear in Results
+ *
+ * @name content
+ * @access public
+ * @param mixed value The value to render
+ * @param Object info The field, type, options, and record of the value
+ * @returns mixed
+ */
+Results.content = (value, info) => {
+	const sField = info.field || 'value';
+	return cellContent(
+		sField,
+		value,
+		info.record || {},
+		{[sField]: info.type || null},
+		{[sField]: info.options || null}
+	);
+}
+
+/**
+ * Register Comparator
+ *
+ * Static method for registering functions used to compare two values of a
+ * specific type when sorting. The function receives two non-null values and
+ * must return a negative number, zero, or a positive number
+ *
+ * @name registerComparator
+ * @access public
+ * @param String type The type, or name, of the values to compare
+ * @param Function compare The function to compare two values
+ * @returns void
+ */
+Results._comparators = {};
+Results.registerComparator = (type, compare) => {
+	Results._comparators[type] = compare;
+}
+
+// Register the default comparators
+Results.registerComparator('string', compareString);
+for(let s of ['bool', 'float', 'int', 'time_average', 'time_elapsed', 'timestamp', 'uint']) {
+	Results.registerComparator(s, compareNumber);
+}
+for(let s of ['decimal', 'price']) {
+	Results.registerComparator(s, compareDecimal);
 }
+for(let s of ['date', 'datetime']) {
+	Results.registerComparator(s, compareDate);
+}
+
+// Valid style rules, either a function, or a list of tests
+const _styleRules = PropTypes.oneOfType([
+	PropTypes.func,
+	PropTypes.arrayOf(PropTypes.shape({
+		className: PropTypes.string,
+		sx: PropTypes.object,
+		test: PropTypes.func.isRequired
+	}))
+]);
 
 // Valid props
 Results.propTypes = {
 	actions: PropTypes.oneOfType([PropTypes.array, PropTypes.bool]),
+	bulkActions: PropTypes.arrayOf(PropTypes.exact({
+		callback: PropTypes.func.isRequired,
+		icon: PropTypes.string.isRequired,
+		title: PropTypes.string.isRequired
+	})),
+	cards: PropTypes.oneOfType([
+		PropTypes.oneOf([false, 'xs', 'sm', 'md', 'lg', 'xl']),
+		PropTypes.number
+	]),
+	cellStyle: PropTypes.objectOf(_styleRules),
+	count: PropTypes.number,
 	custom: PropTypes.object,
-	data: PropTypes.array.isRequired,
+	data: PropTypes.array,
 	errors: PropTypes.object,
 	fields: PropTypes.array,
+	filterable: PropTypes.bool,
 	gridSizes: PropTypes.objectOf(
 		PropTypes.exact({
 			xs: PropTypes.number,
@@ -964,28 +3520,57 @@ Results.propTypes = {
 		})
 	),
 	gridSpacing: PropTypes.number,
+	inline: PropTypes.oneOfType([PropTypes.func, PropTypes.bool]),
 	menu: PropTypes.array,
 	noun: PropTypes.string,
 	order: PropTypes.string,
 	orderBy: PropTypes.string.isRequired,
+	page: PropTypes.number,
+	remote: PropTypes.oneOfType([PropTypes.func, PropTypes.bool]),
 	remove: PropTypes.oneOfType([PropTypes.func, PropTypes.bool]),
+	rowStyle: _styleRules,
+	selectable: PropTypes.bool,
 	service: PropTypes.string,
-	totals: PropTypes.bool,
+	subtotals: PropTypes.bool,
+	totals: PropTypes.oneOfType([
+		PropTypes.bool,
+		PropTypes.objectOf(PropTypes.oneOfType([
+			PropTypes.oneOf(['avg', 'count', 'distinct', 'max', 'min', 'sum']),
+			PropTypes.func,
+			PropTypes.bool
+		]))
+	]),
 	tree: PropTypes.instanceOf(FormatOC.Tree).isRequired,
-	update: PropTypes.oneOfType([PropTypes.func, PropTypes.bool])
+	update: PropTypes.oneOfType([PropTypes.func, PropTypes.bool]),
+	virtualHeight: PropTypes.number,
+	virtualize: PropTypes.oneOfType([PropTypes.bool, PropTypes.number])
 }
 
 // Default props
 Results.defaultProps = {
 	actions: [],
+	bulkActions: [],
+	cards: false,
+	cellStyle: {},
+	count: null,
 	custom: {},
+	data: [],
 	errors: {},
 	fields: [],
+	filterable: false,
 	gridSizes: {__default__: {xs: 12, sm: 6, lg: 3}},
 	gridSpacing: 2,
+	inline: false,
 	menu: [],
 	order: "asc",
+	page: 0,
+	remote: false,
 	remove: false,
+	rowStyle: null,
+	selectable: false,
+	subtotals: false,
 	totals: false,
-	update: false
+	update: false,
+	virtualHeight: 600,
+	virtualize: true
 }
@@ -12,23 +12,723 @@
 import { rest } from '@ouroboros/body';
 import { hash } from '@ouroboros/browser';
 import events from '@ouroboros/events';
-import { empty, isObject } from '@ouroboros/tools';
+import { empty, isObject, ucfirst } from '@ouroboros/tools';
 import FormatOC from 'format-oc';
 
 // NPM modules
 import PropTypes from 'prop-types';
-import React from 'react';
+import React, { useState } from 'react';
+import { v4 as uuidv4 } from 'uuid';
 
 // Material UI
 import Box from '@mui/material/Box';
 import Button from '@mui/material/Button';
+import CircularProgress from '@mui/material/CircularProgress';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import Divider from '@mui/material/Divider';
+import IconButton from '@mui/material/IconButton';
+import ListItemIcon from '@mui/material/ListItemIcon';
+import ListItemText from '@mui/material/ListItemText';
+import ListSubheader from '@mui/material/ListSubheader';
+import Menu from '@mui/material/Menu';
+import MenuItem from '@mui/material/MenuItem';
+import Select from '@mui/material/Select';
+import TextField from '@mui/material/TextField';
+import Tooltip from '@mui/material/Tooltip';
 
 // Format
+import ArrayNode from './ArrayNode';
+import { Node } from './Node';
 import Parent from './Parent';
 
-// Shared Generic
+// Format modules
+import { relativeDates, relativeResolve } from './Shared';
 
-// Search
+// Default storage for saved and recent searches, uses localStorage
+const _localStorage = {
+	get: key => {
+		try {
+			return Promise.resolve(JSON.parse(localStorage.getItem(key)));
+		} catch(e) {
+			return Promise.resolve(null);
+		}
+	},
+	set: (key, value) => {
+		try {
+			localStorage.setItem(key, JSON.stringify(value));
+			return Promise.resolve();
+		} catch(e) {
+			return Promise.reject(e);
+		}
+	}
+};
+
+/**
+ * Describe
+ *
+ * Returns a short, human readable, description of a search, used to label
+ * recent searches
+ *
+ * @name describe
+ * @access private
+ * @param Object filter The values of the search
+ * @param Object titles The titles of each field
+ * @returns String
+ */
+function describe(filter, titles) {
+
+	// If it's a group, describe each condition and join them
+	if(isGroup(filter)) {
+		const sOperator = '$or' in filter ? ' OR ' : ' AND ';
+		const lParts = filter['$or'] || filter['$and'];
+		return '(' + lParts.map(o => describe(o, titles)).join(sOperator) + ')';
+	}
+
+	// Describe each field
+	return Object.keys(filter).map(k => describeField(titles[k] || k, filter[k])).join(', ');
+}
+
+/**
+ * Describe Field
+ *
+ * Returns a short, human readable, description of the search on a single
+ * field
+ *
+ * @name describeField
+ * @access private
+ * @param String title The title of the field
+ * @param mixed value The value searched for
+ * @returns String
+ */
+function describeField(title, value) {
+
+	// If it's a plain value
+	if(!isObject(value)) {
+		return title + ': ' + value;
+	}
+
+	// If it's an array element match, describe the element, which is either
+	//	a search on a single value, or on the fields of a Parent
+	if(value.type === 'match') {
+		return title + ' has ' + ((isObject(value.value) && !('type' in value.value)) ?
+			'element (' + describe(value.value, {}) + ')' :
+			describeField('element', value.value)
+		);
+	}
+
+	// If it's a relative date
+	if(value.type === 'relative') {
+		return title + ' ' + (value.value === 'days_ago' ?
+			value.days + ' days ago' :
+			(relativeDates[value.value] ?
+				relativeDates[value.value].label.toLowerCase() :
+				value.value)
+		);
+	}
+
+	// Else, describe the operator and value
+	if(value.value === null) {
+		return title + ' ' + value.type.replace('_', ' ');
+	} else if(Array.isArray(value.value)) {
+		return title + ' ' + value.type + ' ' + value.value.join(', ');
+	} else {
+		return title + ' ' + value.type + ' ' + value.value;
+	}
+}
+
+/**
+ * Filter Resolve
+ *
+ * Returns a copy of the filter with any relative dates, e.g. "last 7 days",
+ * resolved into "between" searches with actual dates, so that searches kept
+ * in the hash stay current from one day to the next
+ *
+ * @name filterResolve
+ * @access private
+ * @param Object filter The filter to resolve
+ * @param FormatOC.Parent tree The tree the filter's fields belong to
+ * @returns Object
+ */
+function filterResolve(filter, tree) {
+
+	// If it's a group, resolve each condition
+	if(isGroup(filter)) {
+		const sOperator = '$or' in filter ? '$or' : '$and';
+		return {[sOperator]: filter[sOperator].map(o => filterResolve(o, tree))};
+	}
+
+	// Go through each field, which can be a dotted path to a nested field
+	let oRet = {};
+	for(let k of Object.keys(filter)) {
+		oRet[k] = valueResolve(filter[k], nodeGet(tree, k));
+	}
+
+	// Return the resolved filter
+	return oRet;
+}
+
+/**
+ * Is Group
+ *
+ * Returns true if the filter is an AND/OR group of conditions, i.e. an object
+ * with a single "$and" or "$or" key holding a list
+ *
+ * @name isGroup
+ * @access private
+ * @param mixed filter The filter to check
+ * @returns Boolean
+ */
+function isGroup(filter) {
+	if(!isObject(filter)) {
+		return false;
+	}
+	const lKeys = Object.keys(filter);
+	return lKeys.length === 1 &&
+			['$and', '$or'].includes(lKeys[0]) &&
+			Array.isArray(filter[lKeys[0]]);
+}
+
+/**
+ * Node Get
+ *
+ * Returns the node at the dotted path, e.g. "address.city", in the tree, or
+ * null if there's no such node
+ *
+ * @name nodeGet
+ * @access private
+ * @param FormatOC.Parent parent The parent to start from
+ * @param String path The path to the node
+ * @returns FormatOC.Node|null
+ */
+function nodeGet(parent, path) {
+	let oNode = parent;
+	for(let sField of path.split('.')) {
+		if(!oNode || oNode.class() !== 'Parent') {
+			return null;
+		}
+		oNode = oNode.get(sField) || null;
+	}
+	return oNode;
+}
+
+/**
+ * Node Paths
+ *
+ * Returns the dotted paths, and their titles, of every Node and ArrayNode
+ * that can be searched in the parent, including those in nested Parents
+ *
+ * @name nodePaths
+ * @access private
+ * @param FormatOC.Parent parent The parent to go through
+ * @param String path The path to the parent, empty for the tree
+ * @param String title The title of the parent, empty for the tree
+ * @returns Array [path, title][]
+ */
+function nodePaths(parent, path, title) {
+
+	// Get the order of the fields
+	const oDisplay = parent.special('ui') || {};
+	const lOrder = oDisplay.search || oDisplay.order || parent.keys();
+
+	// Go through each field
+	let lRet = [];
+	for(let k of lOrder) {
+		const oNode = parent.get(k);
+		const oReact = oNode.special('ui') || {};
+		const sPath = path ? path + '.' + k : k;
+		const sTitle = (title ? title + ' / ' : '') +
+						(oReact.title || ucfirst(k.replace(/_/g, ' ')));
+		switch(oNode.class()) {
+			case 'ArrayNode':
+			case 'Node':
+				lRet.push([sPath, sTitle]);
+				break;
+			case 'Parent':
+				lRet = lRet.concat(nodePaths(oNode, sPath, sTitle));
+				break;
+			default:
+				break;
+		}
+	}
+
+	// Return the paths
+	return lRet;
+}
+
+/**
+ * Value Resolve
+ *
+ * Returns the value searched for on a single node with any relative dates
+ * resolved, including those in the element of an array match
+ *
+ * @name valueResolve
+ * @access private
+ * @param mixed value The value to resolve
+ * @param FormatOC.Node node The node the value is for
+ * @returns mixed
+ */
+function valueResolve(value, node) {
+
+	// If it's not an operator, or the node doesn't exist, leave it as is
+	if(!isObject(value) || !node) {
+		return value;
+	}
+
+	// If it's a relative date
+	if(value.type === 'relative' && node.class() === 'Node') {
+		return relativeResolve(value, node.type());
+	}
+
+	// If it's an array match, resolve the element, which is either a single
+	//	value, or the fields of a Parent
+	if(value.type === 'match' && node.class() === 'ArrayNode') {
+		const oChild = node.child();
+		return {
+			type: 'match',
+			value: (oChild.class() === 'Parent' && isObject(value.value) && !('type' in value.value)) ?
+				filterResolve(value.value, oChild) :
+				valueResolve(value.value, oChild)
+		};
+	}
+
+	// Else, leave it as is
+	return value;
+}
+
+/**
+ * Search Condition
+ *
+ * A single condition in an advanced search, a field, and the operator and
+ * value of the field using the same Node used for regular searches
+ *
+ * @name SearchCondition
+ * @access private
+ * @extends React.Component
+ */
+class SearchCondition extends React.Component {
+
+	constructor(props) {
+
+		// Call parent
+		super(props);
+
+		// Get the field and value from the condition, if there is one
+		let sField = props.fields[0];
+		this.initial = null;
+		if(isObject(props.value)) {
+			const lKeys = Object.keys(props.value);
+			if(lKeys.length && props.fields.includes(lKeys[0])) {
+				sField = lKeys[0];
+				this.initial = props.value[sField];
+			}
+		}
+
+		// Init state
+		this.state = {
+			field: sField
+		};
+
+		// Init the node
+		this.node = null;
+	}
+
+	componentDidMount() {
+
+		// If there's an initial value, set it now that the node exists
+		if(this.initial !== null && this.node) {
+			this.node.value = this.initial;
+		}
+	}
+
+	render() {
+
+		// Get the node, arrays are searched by the elements they contain
+		const oNode = nodeGet(this.props.tree, this.state.field);
+		const ElName = oNode.class() === 'ArrayNode' ? ArrayNode : Node;
+
+		return (
+			<Box className="condition flexColumns">
+				<Box className="field flexStatic">
+					<Select
+						inputProps={{'aria-label': 'Field'}}
+						native
+						onChange={ev => this.setState({field: ev.target.value}, this.props.onChange)}
+						size="small"
+						value={this.state.field}
+						variant={this.props.variant}
+					>
+						{this.props.fields.map(k =>
+							<option key={k} value={k}>{this.props.titles[k]}</option>
+						)}
+					</Select>
+				</Box>
+				<Box className="value flexGrow">
+					<ElName
+						key={this.state.field}
+						label="placeholder"
+						name={this.state.field}
+						node={oNode}
+						onChange={this.props.onChange}
+						onEnter={this.props.onEnter}
+						ref={el => this.node = el}
+						type="search"
+						validation={false}
+						variant={this.props.variant}
+					/>
+				</Box>
+				<Tooltip title="Remove condition">
+					<IconButton className="icon" onClick={this.props.onRemove}>
+						<i className="fa-solid fa-minus" />
+					</IconButton>
+				</Tooltip>
+			</Box>
+		);
+	}
+
+	/**
+	 * Value
+	 *
+	 * Returns the condition as an object with the field as the only key, the
+	 * same as a regular search with a single field, or null if there's no
+	 * value
+	 *
+	 * @name value
+	 * @access public
+	 * @returns Object|null
+	 */
+	get value() {
+		const mValue = this.node.value;
+		if(mValue === null) {
+			return null;
+		}
+		return {[this.state.field]: mValue};
+	}
+}
+
+// Valid props
+SearchCondition.propTypes = {
+	fields: PropTypes.arrayOf(PropTypes.string).isRequired,
+	onChange: PropTypes.func,
+	onEnter: PropTypes.func,
+	onRemove: PropTypes.func.isRequired,
+	titles: PropTypes.object.isRequired,
+	tree: PropTypes.instanceOf(FormatOC.Tree).isRequired,
+	value: PropTypes.object,
+	variant: PropTypes.oneOf(['filled', 'outlined', 'standard'])
+}
+
+/**
+ * Search Group
+ *
+ * A list of conditions, and other groups, that must all (AND) or any (OR)
+ * match
+ *
+ * @name SearchGroup
+ * @access private
+ * @extends React.Component
+ */
+class SearchGroup extends React.Component {
+
+	constructor(props) {
+
+		// Call parent
+		super(props);
+
+		// Get the operator and the conditions from the value
+		let sOperator = 'and';
+		let lConditions = [];
+		if(isGroup(props.value)) {
+			sOperator = '$or' in props.value ? 'or' : 'and';
+			lConditions = props.value['$' + sOperator];
+		}
+
+		// Init state
+		this.state = {
+			elements: lConditions.map(o => ({
+				group: isGroup(o),
+				key: uuidv4(),
+				value: o
+			})),
+			operator: sOperator
+		};
+
+		// If there's nothing, start with a single condition
+		if(this.state.elements.length === 0) {
+			this.state.elements.push({group: false, key: uuidv4(), value: null});
+		}
+
+		// Init the refs
+		this.items = {};
+	}
+
+	// Called to add a new condition, or group
+	add(group) {
+		this.setState({
+			elements: this.state.elements.concat([{
+				group: group,
+				key: uuidv4(),
+				value: null
+			}])
+		});
+	}
+
+	// Called to remove a condition, or group
+	remove(key) {
+		this.setState({
+			elements: this.state.elements.filter(o => o.key !== key)
+		}, this.props.onChange);
+	}
+
+	render() {
+
+		// Clear the refs
+		this.items = {};
+
+		return (
+			<Box className={'searchGroup depth_' + this.props.depth}>
+				<Box className="header flexColumns">
+					<Select
+						className="operator"
+						inputProps={{'aria-label': 'Match'}}
+						native
+						onChange={ev => this.setState({operator: ev.target.value}, this.props.onChange)}
+						size="small"
+						value={this.state.operator}
+						variant={this.props.variant}
+					>
+						<option value="and">Match all (AND)</option>
+						<option value="or">Match any (OR)</option>
+					</Select>
+					<span className="flexGrow" />
+					<Button onClick={() => this.add(false)} size="small">
+						Add condition
+					</Button>
+					<Button onClick={() => this.add(true)} size="small">
+						Add group
+					</Button>
+					{this.props.onRemove &&
+						<Tooltip title="Remove group">
+							<IconButton className="icon" onClick={this.props.onRemove}>
+								<i className="fa-solid fa-times" />
+							</IconButton>
+						</Tooltip>
+					}
+				</Box>
+				{this.state.elements.map(o => o.group ?
+					<SearchGroup
+						depth={this.props.depth + 1}
+						fields={this.props.fields}
+						key={o.key}
+						onChange={this.props.onChange}
+						onEnter={this.props.onEnter}
+						onRemove={() => this.remove(o.key)}
+						ref={el => this.items[o.key] = el}
+						titles={this.props.titles}
+						tree={this.props.tree}
+						value={o.value}
+						variant={this.props.variant}
+					/>
+				:
+					<SearchCondition
+						fields={this.props.fields}
+						key={o.key}
+						onChange={this.props.onChange}
+						onEnter={this.props.onEnter}
+						onRemove={() => this.remove(o.key)}
+						ref={el => this.items[o.key] = el}
+						titles={this.props.titles}
+						tree={this.props.tree}
+						value={o.value}
+						variant={this.props.variant}
+					/>
+				)}
+			</Box>
+		);
+	}
+
+	/**
+	 * Value
+	 *
+	 * Returns the group as an object with "$and" or "$or" as the only key,
+	 * holding the list of conditions and groups, or null if none of them have
+	 * a value
+	 *
+	 * @name value
+	 * @access public
+	 * @returns Object|null
+	 */
+	get value() {
+		let lConditions = [];
+		for(let o of this.state.elements) {
+			const mValue = this.items[o.key] ? this.items[o.key].value : null;
+			if(mValue !== null) {
+				lConditions.push(mValue);
+			}
+		}
+		if(lConditions.length === 0) {
+			return null;
+		}
+		return {['$' + this.state.operator]: lConditions};
+	}
+}
+
+// Valid props
+SearchGroup.propTypes = {
+	depth: PropTypes.number.isRequired,
+	fields: PropTypes.arrayOf(PropTypes.string).isRequired,
+	onChange: PropTypes.func,
+	onEnter: PropTypes.func,
+	onRemove: PropTypes.func,
+	titles: PropTypes.object.isRequired,
+	tree: PropTypes.instanceOf(FormatOC.Tree).isRequired,
+	value: PropTypes.object,
+	variant: PropTypes.oneOf(['filled', 'outlined', 'standard'])
+}
+
+/**
+ * Saved Menu
+ *
+ * Displays a menu of saved and recent searches, and lets the user save the
+ * current search, delete saved ones, and pick one to run by default
+ *
+ * @name SavedMenu
+ * @access private
+ * @param Object props Properties passed to the component
+ * @return React.Component
+ */
+function SavedMenu(props) {
+
+	// State
+	let [menu, menuSet] = useState(false);
+	let [name, nameSet] = useState(false);
+
+	// Called to save the current search under the name entered
+	function save() {
+		if(name.trim() !== '') {
+			props.save(name.trim());
+			nameSet(false);
+		}
+	}
+
+	// Render
+	return (
+		<React.Fragment>
+			<Tooltip title="Saved searches">
+				<IconButton className="icon" onClick={ev => menuSet(ev.currentTarget)}>
+					<i className="fa-solid fa-bookmark" />
+				</IconButton>
+			</Tooltip>
+			{menu !== false &&
+				<Menu
+					anchorEl={menu}
+					className="searchSaved"
+					open={true}
+					onClose={ev => menuSet(false)}
+				>
+					<MenuItem onClick={() => { menuSet(false); nameSet(''); }}>
+						<ListItemIcon>
+							<i className="fa-solid fa-floppy-disk" />
+						</ListItemIcon>
+						Save current search
+					</MenuItem>
+					{props.saved.length > 0 && <Divider />}
+					{props.saved.length > 0 && <ListSubheader>Saved</ListSubheader>}
+					{props.saved.map(o =>
+						<MenuItem key={'saved_' + o.name} onClick={() => { menuSet(false); props.select(o.search); }}>
+							<ListItemText>{o.name}</ListItemText>
+							<Tooltip title={props.default === o.name ? 'Stop running by default' : 'Run by default'}>
+								<IconButton
+									className="icon"
+									onClick={ev => { ev.stopPropagation(); props.defaultSet(props.default === o.name ? null : o.name); }}
+									size="small"
+								>
+									<i className={(props.default === o.name ? 'fa-solid' : 'fa-regular') + ' fa-star'} />
+								</IconButton>
+							</Tooltip>
+							<Tooltip title="Delete">
+								<IconButton
+									className="icon"
+									onClick={ev => { ev.stopPropagation(); props.remove(o.name); }}
+									size="small"
+								>
+									<i className="fa-solid fa-trash-alt" />
+								</IconButton>
+							</Tooltip>
+						</MenuItem>
+					)}
+					{props.recent.length > 0 && <Divider />}
+					{props.recent.length > 0 && <ListSubheader>Recent</ListSubheader>}
+					{props.recent.map((s,i) =>
+						<MenuItem key={'recent_' + i} onClick={() => { menuSet(false); props.select(s); }}>
+							<ListItemText className="description">{describe(JSON.parse(s), props.titles)}</ListItemText>
+						</MenuItem>
+					)}
+				</Menu>
+			}
+			{name !== false &&
+				<Dialog
+					onClose={() => nameSet(false)}
+					open={true}
+				>
+					<DialogTitle>Save Search</DialogTitle>
+					<DialogContent>
+						<TextField
+							autoFocus={true}
+							label="Name"
+							onChange={ev => nameSet(ev.target.value)}
+							onKeyPress={ev => { if(ev.key === 'Enter') save(); }}
+							value={name}
+							variant="standard"
+						/>
+					</DialogContent>
+					<DialogActions>
+						<Button color="secondary" onClick={() => nameSet(false)} variant="contained">Cancel</Button>
+						<Button color="primary" disabled={name.trim() === ''} onClick={save} variant="contained">Save</Button>
+					</DialogActions>
+				</Dialog>
+			}
+		</React.Fragment>
+	);
+}
+
+// Valid props
+SavedMenu.propTypes = {
+	default: PropTypes.string,
+	defaultSet: PropTypes.func.isRequired,
+	recent: PropTypes.arrayOf(PropTypes.string).isRequired,
+	remove: PropTypes.func.isRequired,
+	save: PropTypes.func.isRequired,
+	saved: PropTypes.arrayOf(PropTypes.exact({
+		name: PropTypes.string.isRequired,
+		search: PropTypes.string.isRequired
+	})).isRequired,
+	select: PropTypes.func.isRequired,
+	titles: PropTypes.object.isRequired
+}
+
+/**
+ * Search
+ *
+ * Handles searching for records using a Parent, or in advanced mode, groups
+ * of conditions, and storing the search in the hash
+ *
+ * The filter sent to the service is a flat object of fields to values.
+ * Fields in nested Parents use their dotted paths, e.g. "address.city". A
+ * value is either the exact value to match, or {type, value} where type is
+ * the operator, e.g. {type: 'start', value: 'Tor'}. Arrays are searched with
+ * {type: 'match', value}, true if any element matches value, which is a
+ * value, or operator, for arrays of Nodes, and a filter in this same format,
+ * with paths relative to the element, for arrays of Parents. In advanced
+ * mode the filter is {$and: [...]} or {$or: [...]}, each item being a filter
+ * or another group
+ *
+ * @name Search
+ * @access public
+ * @extends React.Component
+ */
 export default class Search extends React.Component {
 
 	constructor(props) {
@@ -44,18 +744,64 @@ export default class Search extends React.Component {
 			oDisplay.primary = '_id';
 		}
 
+		// Store the fields that can be used in advanced mode and their titles,
+		//	fields in nested Parents use their dotted paths
+		const lPaths = nodePaths(props.tree, '', '');
+		this.fields = lPaths.map(l => l[0]);
+		this.titles = {};
+		for(let l of lPaths) {
+			this.titles[l[0]] = l[1];
+		}
+
 		// Set the initial state
 		this.state = {
-			name: props.tree._name
+			advanced: null,
+			generation: 0,
+			loading: false,
+			mode: 'simple',
+			name: props.tree._name,
+			stored: {default: null, recent: [], saved: []}
 		}
 
-		// Init the parent
+		// Init the parent and the advanced group
+		this.group = null;
 		this.parent = null;
 
+		// Init the current filter, the paging, and the hash just set by fetch
+		this.filter = null;
+		this.paging = {
+			page: 0,
+			rowsPerPage: parseInt(localStorage.getItem('rowsPerPage')) || 10,
+			sort: []
+		};
+		this.skipHash = null;
+
+		// Init the live search timer, the counter used to ignore the results
+		//	of any search replaced by a newer one, and the method that drops
+		//	the search still running
+		this.timer = null;
+		this.requestId = 0;
+		this.pending = null;
+
+		// Init the hash of the last live search
+		this.liveHash = null;
+
+		// Init the flag set once the saved searches are loaded, and the
+		//	search run before then, if any
+		this.storedLoaded = false;
+		this.recentPending = null;
+
 		// Bind methods
 		this.clear = this.clear.bind(this);
+		this.defaultSet = this.defaultSet.bind(this);
+		this.liveChange = this.liveChange.bind(this);
+		this.liveQuery = this.liveQuery.bind(this);
+		this.modeToggle = this.modeToggle.bind(this);
 		this.query = this.query.bind(this);
 		this.search = this.search.bind(this);
+		this.storedRemove = this.storedRemove.bind(this);
+		this.storedSave = this.storedSave.bind(this);
+		this.storedSelect = this.storedSelect.bind(this);
 	}
 
 	componentDidMount() {
@@ -68,81 +814,442 @@ export default class Search extends React.Component {
 		if(sHash) {
 			this.search(sHash);
 		}
+
+		// If saved searches are allowed, load them, and if there was nothing
+		//	in the hash, run the default search if there is one
+		if(this.props.saved) {
+			this.props.storage.get(this.storedKey()).then(data => {
+				const oStored = {
+					default: (data && data.default) || null,
+					recent: (data && data.recent) || [],
+					saved: (data && data.saved) || []
+				};
+				this.storedLoaded = true;
+				this.setState({stored: oStored}, () => {
+					if(this.recentPending) {
+						this.recentAdd(this.recentPending);
+						this.recentPending = null;
+					}
+				});
+				if(!sHash && oStored.default) {
+					const oSaved = oStored.saved.find(o => o.name === oStored.default);
+					if(oSaved) {
+						this.storedSelect(oSaved.search);
+					}
+				}
+			}, error => {
+
+				// Start with nothing stored so new searches can still be
+				//	added, and notify of the error
+				this.storedLoaded = true;
+				if(this.recentPending) {
+					this.recentAdd(this.recentPending);
+					this.recentPending = null;
+				}
+				events.trigger('error', error);
+			});
+		}
 	}
 
 	componentWillUnmount() {
 
 		// Stop traching hash changes
 		hash.unsubscribe(this.props.hash, this.search);
+
+		// Stop any live search, and drop any search still running
+		if(this.timer) {
+			clearTimeout(this.timer);
+		}
+		this.cancel();
+	}
+
+	// Called to drop the search still running, if there is one, its promise
+	//	is rejected right away and its response ignored. rest can't abort
+	//	requests, so the request itself still runs
+	cancel() {
+		++this.requestId;
+		if(this.pending) {
+			const fCancel = this.pending;
+			this.pending = null;
+			fCancel();
+		}
 	}
 
 	clear() {
 		hash.set(this.props.hash);
 	}
 
+	// Returns the current values of the parent, or the advanced group
+	current() {
+		return this.state.mode === 'advanced' ?
+				this.group.value :
+				this.parent.value;
+	}
+
+	// Called to set, or unset, the saved search run by default
+	defaultSet(name) {
+		this.stored({...this.state.stored, default: name});
+	}
+
+	// Called when any field changes in live mode, runs the search once the
+	//	user stops typing
+	liveChange() {
+		if(this.timer) {
+			clearTimeout(this.timer);
+		}
+		this.timer = setTimeout(this.liveQuery, this.props.debounce);
+	}
+
+	// Called to run a live search, if the values have changed
+	liveQuery() {
+
+		// Clear the timer
+		this.timer = null;
+
+		// Fetch the current values, if there's nothing, do nothing
+		let oValues = this.current();
+		if(empty(oValues)) {
+			return;
+		}
+
+		// If the filter hasn't changed, do nothing
+		if(JSON.stringify(oValues) === JSON.stringify(this.filter)) {
+			return;
+		}
+
+		// Store the values in the hash, starting at the first page, and keep
+		//	the hash so the search knows it's a live one
+		this.paging = {...this.paging, page: 0};
+		this.liveHash = this.encode(oValues);
+		hash.set(this.props.hash, this.liveHash);
+	}
+
+	// Called to switch between the simple and advanced modes
+	modeToggle() {
+		this.setState({
+			advanced: null,
+			generation: this.state.generation + 1,
+			mode: this.state.mode === 'simple' ? 'advanced' : 'simple'
+		});
+	}
+
+	// Returns the JSON stored in the hash for a filter and the paging
+	encode(filter) {
+		if(!this.props.paging) {
+			return JSON.stringify(filter);
+		}
+		return JSON.stringify({
+			$filter: filter,
+			$page: this.paging.page,
+			$rowsPerPage: this.paging.rowsPerPage,
+			$sort: this.paging.sort
+		});
+	}
+
+	/**
+	 * Fetch
+	 *
+	 * Fetches a single page of the current search, storing the new paging in
+	 * the hash. Meant to be used as the loader of a remote Results so that it
+	 * can page and sort the search. Resolves with {data, count}, without
+	 * calling success. Requests for every row, i.e. rowsPerPage of -1 for
+	 * exports, leave the paging and the hash as is
+	 *
+	 * @name fetch
+	 * @access public
+	 * @param Object details The page, rowsPerPage, and sort
+	 * @returns Promise
+	 */
+	fetch(details) {
+
+		// If there's no search yet, there's nothing to fetch
+		if(this.filter === null) {
+			return Promise.resolve({data: [], count: 0});
+		}
+
+		// If every row is wanted, e.g. to export them, read them without
+		//	changing the paging, the hash, or notifying of the results
+		if(details.rowsPerPage === -1) {
+			return this.request(this.filter, {
+				page: 0,
+				rowsPerPage: -1,
+				sort: details.sort || this.paging.sort
+			}, true);
+		}
+
+		// Store the paging
+		this.paging = {
+			page: details.page,
+			rowsPerPage: details.rowsPerPage,
+			sort: details.sort || []
+		};
+
+		// Store the new paging in the hash without searching again
+		this.skipHash = this.encode(this.filter);
+		hash.set(this.props.hash, this.skipHash);
+
+		// Fetch the page, it's only passed back to the Results
+		return this.request(this.filter, this.paging, true);
+	}
+
+	// Called to add a search to the start of the recent searches, once the
+	//	stored searches are loaded
+	recentAdd(search) {
+
+		// If the stored searches aren't loaded yet, wait for them
+		if(!this.storedLoaded) {
+			this.recentPending = search;
+			return;
+		}
+
+		// Add the search, removing any older copy of it
+		this.stored({
+			...this.state.stored,
+			recent: [search].concat(
+				this.state.stored.recent.filter(s => s !== search)
+			).slice(0, this.props.recentMax)
+		});
+	}
+
 	query() {
 
-		// Fetch the values from the parent
-		let oValues = this.parent.value;
+		// Fetch the values from the parent, or the advanced group
+		let oValues = this.current();
 
 		// If there's anything
 		if(!empty(oValues)) {
 
-			// Turn them into JSON and store them in the hash
-			hash.set(this.props.hash, JSON.stringify(oValues));
+			// A new search always starts at the first page
+			this.paging = {...this.paging, page: 0};
+
+			// Turn them into JSON
+			const sHash = this.encode(oValues);
+
+			// If a live search already ran it, it only needs to be added to
+			//	the recent searches
+			if(sHash === this.liveHash) {
+				this.liveHash = null;
+				if(this.props.saved) {
+					this.recentAdd(JSON.stringify(oValues));
+				}
+				return;
+			}
+
+			// Store them in the hash
+			hash.set(this.props.hash, sHash);
 		}
 	}
 
+	// Called to send the filter and paging to the service, resolving with
+	//	the records and count. Unless it's quiet, it shows as loading, calls
+	//	success, and drops the search still running
+	request(filter, paging, quiet=false) {
+
+		// Generate the data sent to the service, with any relative dates
+		//	resolved to today's actual dates
+		let oData = {filter: filterResolve(filter, this.props.tree)};
+		if(this.props.paging) {
+			oData.page = paging.page;
+			oData.rowsPerPage = paging.rowsPerPage;
+			oData.sort = paging.sort;
+			if(paging.sort.length) {
+				oData.order = paging.sort[0].order;
+				oData.orderBy = paging.sort[0].orderBy;
+			}
+		}
+
+		// Unless it's quiet, drop any search still running, get a new
+		//	request ID, and mark the search as loading
+		let iRequest = null;
+		if(!quiet) {
+			this.cancel();
+			iRequest = this.requestId;
+			this.setState({loading: true});
+		}
+
+		// Called when the request is done, returns false if the search was
+		//	dropped
+		const done = () => {
+			if(quiet) {
+				return true;
+			}
+			if(iRequest !== this.requestId) {
+				return false;
+			}
+			this.pending = null;
+			this.setState({loading: false});
+			return true;
+		}
+
+		// Run the search
+		return new Promise((resolve, reject) => {
+
+			// Store how to drop the search
+			if(!quiet) {
+				this.pending = () => reject(null);
+			}
+
+			rest.read(this.props.service, this.props.noun, oData).then(res => {
+
+				// If the search was dropped, ignore the response
+				if(!done()) {
+					return;
+				}
+
+				// If there's a warning
+				if(res.warning) {
+					events.trigger('warning', res.warning);
+				}
+
+				// If there's an error
+				if(res.error) {
+					if(quiet) {
+						reject(res._handled ? null : res.error);
+					} else {
+						if(!res._handled) {
+							this.searchError(res.error);
+						}
+						reject(res.error);
+					}
+				}
+
+				// Else, if there's data
+				else if(res.data) {
+
+					// Get the records and the count
+					let lData = res.data, iCount = null;
+					if(isObject(res.data) && Array.isArray(res.data.data)) {
+						lData = res.data.data;
+						iCount = res.data.count;
+					} else {
+						iCount = lData.length;
+					}
+
+					// Send it to the success message
+					if(!quiet && this.props.success) {
+						this.props.success(lData, iCount, {...paging});
+					}
+
+					// Resolve with the page
+					resolve({count: iCount, data: lData});
+				}
+
+				// Else, the response is empty
+				else {
+					const sError = 'No data returned from ' + this.props.service + '/' + this.props.noun;
+					if(quiet) {
+						reject(sError);
+					} else {
+						events.trigger('error', sError);
+						reject(null);
+					}
+				}
+			}, error => {
+
+				// If the search was dropped, ignore the failure
+				if(!done()) {
+					return;
+				}
+
+				// Pass the failure along, or if it's a search, notify of it
+				if(quiet) {
+					reject(error);
+				} else {
+					events.trigger('error', error);
+					reject(null);
+				}
+			});
+		});
+	}
+
+	// Called with the JSON in the hash to set the fields and run the search
 	search(values) {
 
+		// If the hash was just set by fetch, it's already been searched
+		if(this.skipHash !== null && values === this.skipHash) {
+			this.skipHash = null;
+			return;
+		}
+
+		// Live searches are only recorded once they're submitted, and the
+		//	fields already hold their values
+		const bLive = this.liveHash !== null && values === this.liveHash;
+
 		// Decode the values
-		values = JSON.parse(values);
+		values = values ? JSON.parse(values) : null;
+
+		// If the values include paging, split it from the filter, else the
+		//	search starts at the first page
+		if(isObject(values) && '$filter' in values) {
+			this.paging = {
+				page: values.$page || 0,
+				rowsPerPage: values.$rowsPerPage || this.paging.rowsPerPage,
+				sort: values.$sort || []
+			};
+			values = values.$filter;
+		} else {
+			this.paging = {...this.paging, page: 0};
+		}
 
 		// If there's no data
 		if(empty(values)) {
 			return;
 		}
 
-		// Set the parent's values
-		this.parent.value = values;
+		// Store the filter
+		this.filter = values;
 
-		// Run the search
-		rest.read(this.props.service, this.props.noun, {
-			filter: values
-		}).then(res => {
+		// Any other search ends the live one
+		if(!bLive) {
+			this.liveHash = null;
+		}
 
-			// If there's an error
-			if(res.error && !res._handled) {
-				this.searchError(res.error);
-			}
+		// If saved searches are allowed, add the search to the recent ones
+		if(this.props.saved && !bLive) {
+			this.recentAdd(JSON.stringify(values));
+		}
 
-			// If there's a warning
-			if(res.warning) {
-				events.trigger('warning', res.warning);
-			}
+		// Unless it's a live search, whose values are already in the fields
+		if(!bLive) {
 
-			// If there's data
-			if(res.data) {
+			// If the values are a group of conditions, switch to advanced
+			//	mode and recreate the groups using them
+			if(isGroup(values)) {
+				this.setState({
+					advanced: values,
+					generation: this.state.generation + 1,
+					mode: 'advanced'
+				});
+			}
 
-				// Send it to the success message
-				if(this.props.success) {
-					this.props.success(res.data);
-				}
+			// Else, set the parent's values, switching to simple mode first
+			//	if necessary
+			else if(this.state.mode === 'advanced') {
+				this.setState({mode: 'simple'}, () => {
+					this.parent.value = values;
+				});
+			} else {
+				this.parent.value = values;
 			}
-		})
+		}
+
+		// Run the search
+		this.request(values, this.paging).then(() => {}, () => {});
 	}
 
 	searchError(error) {
-		if(error.code === 1001) {
+		if(error.code === 1001 && this.parent) {
 			this.parent.error(error.msg);
 		} else if(error.code.toString() in this.props.handleErrors) {
 
 			// If the value is already an object
 			if(isObject(this.props.handleErrors[error.code.toString()])) {
-				this.parent.error(this.props.handleErrors[error.code.toString()]);
+				if(this.parent) {
+					this.parent.error(this.props.handleErrors[error.code.toString()]);
+				}
 			} else {
 				let oErrors = this.props.handleErrors[error.code.toString()](error);
-				if(isObject(oErrors)) {
+				if(isObject(oErrors) && this.parent) {
 					this.parent.error(oErrors);
 				}
 			}
@@ -154,27 +1261,120 @@ export default class Search extends React.Component {
 	render() {
 		return (
 			<Box className={"search _" + this.state.name}>
-				<Parent
-					dynamicOptions={this.props.dynamicOptions}
-					gridSizes={this.props.gridSizes}
-					label={this.props.label}
-					ref={el => this.parent = el}
-					name={this.props.name}
-					node={this.props.tree}
-					onEnter={this.query}
-					type="search"
-					validation={false}
-				/>
+				{this.state.mode === 'advanced' ?
+					<SearchGroup
+						depth={0}
+						fields={this.fields}
+						key={this.state.generation}
+						onChange={this.props.live ? this.liveChange : undefined}
+						onEnter={this.query}
+						ref={el => this.group = el}
+						titles={this.titles}
+						tree={this.props.tree}
+						value={this.state.advanced}
+					/>
+				:
+					<Parent
+						dynamicOptions={this.props.dynamicOptions}
+						gridSizes={this.props.gridSizes}
+						label={this.props.label}
+						ref={el => this.parent = el}
+						name={this.props.name}
+						node={this.props.tree}
+						onChange={this.props.live ? this.liveChange : undefined}
+						onEnter={this.query}
+						type="search"
+						validation={false}
+					/>
+				}
 				<Box className="actions">
-					<Button variant="contained" color="primary" onClick={this.query}>Search</Button>
+					{this.props.saved &&
+						<SavedMenu
+							default={this.state.stored.default}
+							defaultSet={this.defaultSet}
+							recent={this.state.stored.recent}
+							remove={this.storedRemove}
+							save={this.storedSave}
+							saved={this.state.stored.saved}
+							select={this.storedSelect}
+							titles={this.titles}
+						/>
+					}
+					{this.props.advanced &&
+						<Button onClick={this.modeToggle}>
+							{this.state.mode === 'advanced' ? 'Simple' : 'Advanced'}
+						</Button>
+					}
+					<Button
+						color="primary"
+						onClick={this.query}
+						startIcon={this.state.loading ?
+							<CircularProgress color="inherit" size={16} /> :
+							undefined
+						}
+						variant="contained"
+					>
+						Search
+					</Button>
 				</Box>
 			</Box>
 		);
 	}
+
+	// Called to store the saved and recent searches, in the state and the
+	//	storage
+	stored(data) {
+		this.setState({stored: data});
+		this.props.storage.set(this.storedKey(), data).then(() => {}, error => {
+			events.trigger('error', error);
+		});
+	}
+
+	// Returns the key used to store the saved and recent searches
+	storedKey() {
+		return 'search_' + this.props.hash;
+	}
+
+	// Called to delete a saved search
+	storedRemove(name) {
+		this.stored({
+			...this.state.stored,
+			default: this.state.stored.default === name ? null : this.state.stored.default,
+			saved: this.state.stored.saved.filter(o => o.name !== name)
+		});
+	}
+
+	// Called to save the current search under a name
+	storedSave(name) {
+
+		// Get the current values, if there's nothing, do nothing
+		const oValues = this.current();
+		if(empty(oValues)) {
+			events.trigger('error', 'Nothing to save');
+			return;
+		}
+
+		// Add, or replace, the search
+		this.stored({
+			...this.state.stored,
+			saved: this.state.stored.saved.filter(o => o.name !== name).concat([{
+				name: name,
+				search: JSON.stringify(oValues)
+			}]).sort((a, b) => a.name.localeCompare(b.name))
+		});
+	}
+
+	// Called to run a saved or recent search
+	storedSelect(search) {
+		this.paging = {...this.paging, page: 0};
+		hash.set(this.props.hash, this.encode(JSON.parse(search)));
+	}
 }
 
 // Valid props
 Search.propTypes = {
+	advanced: PropTypes.bool,
+	debounce: PropTypes.number,
 	dynamicOptions: PropTypes.arrayOf(PropTypes.exact({
 		node: PropTypes.string.isRequired,
 		trigger: PropTypes.string.isRequired,
@@ -197,16 +1397,31 @@ Search.propTypes = {
 	),
 	hash: PropTypes.string.isRequired,
 	label: PropTypes.oneOf(['above', 'none', 'placeholder']),
+	live: PropTypes.bool,
 	name: PropTypes.string.isRequired,
 	noun: PropTypes.string.isRequired,
+	paging: PropTypes.bool,
+	recentMax: PropTypes.number,
+	saved: PropTypes.bool,
 	service: PropTypes.string.isRequired,
+	storage: PropTypes.exact({
+		get: PropTypes.func.isRequired,
+		set: PropTypes.func.isRequired
+	}),
 	success: PropTypes.func,
 	tree: PropTypes.instanceOf(FormatOC.Tree).isRequired,
 }
 
 // Default props
 Search.defaultProps = {
+	advanced: false,
+	debounce: 500,
 	gridSizes: {__default__: {xs: 12, sm: 6, lg: 3}},
 	handleErrors: {},
-	label: 'placeholder'
+	label: 'placeholder',
+	live: false,
+	paging: false,
+	recentMax: 10,
+	saved: false,
+	storage: _localStorage
 }
@@ -15,7 +15,8 @@ import events from '@ouroboros/events';
 /**
  * Error Tree
  *
- * Converts array of rest field errors into a tree
+ * Converts array of rest field errors into a tree. Array indexes are kept as
+ * numeric keys so they can be mapped back onto the elements of an ArrayNode
  *
  * @name errorTree
  * @access public
@@ -30,6 +31,10 @@ export function errorTree(errors) {
 	// Go through each error
 	for(let i = 0; i < errors.length; ++i) {
 
+		// Turn any array indexes, e.g. "items[2]" or "items.[2]", into
+		//	regular numeric fields, e.g. "items.2"
+		errors[i][0] = errors[i][0].replace(/\.?\[(\d+)\]/g, '.$1').replace(/^\./, '');
+
 		// If the error field has a period
 		if(errors[i][0].includes('.')) {
 
@@ -71,6 +76,175 @@ export function errorTree(errors) {
 	return oRet;
 }
 
+/**
+ * Relative Dates
+ *
+ * The presets that can be used to search date, datetime, and timestamp nodes
+ * relative to the current day. Each has a label, and a range method that
+ * takes today at midnight, and the number of days for "days_ago", and
+ * returns the first and last day of the range
+ *
+ * @name relativeDates
+ * @access public
+ */
+export const relativeDates = {
+	today: {
+		label: 'Today',
+		range: today => [today, today]
+	},
+	yesterday: {
+		label: 'Yesterday',
+		range: today => [dayAdd(today, -1), dayAdd(today, -1)]
+	},
+	last_7_days: {
+		label: 'Last 7 days',
+		range: today => [dayAdd(today, -6), today]
+	},
+	last_30_days: {
+		label: 'Last 30 days',
+		range: today => [dayAdd(today, -29), today]
+	},
+	this_month: {
+		label: 'This month',
+		range: today => [
+			new Date(today.getFullYear(), today.getMonth(), 1),
+			new Date(today.getFullYear(), today.getMonth() + 1, 0)
+		]
+	},
+	last_month: {
+		label: 'Last month',
+		range: today => [
+			new Date(today.getFullYear(), today.getMonth() - 1, 1),
+			new Date(today.getFullYear(), today.getMonth(), 0)
+		]
+	},
+	this_quarter: {
+		label: 'This quarter',
+		range: today => {
+			const iMonth = today.getMonth() - (today.getMonth() % 3);
+			return [
+				new Date(today.getFullYear(), iMonth, 1),
+				new Date(today.getFullYear(), iMonth + 3, 0)
+			];
+		}
+	},
+	last_quarter: {
+		label: 'Last quarter',
+		range: today => {
+			const iMonth = today.getMonth() - (today.getMonth() % 3) - 3;
+			return [
+				new Date(today.getFullYear(), iMonth, 1),
+				new Date(today.getFullYear(), iMonth + 3, 0)
+			];
+		}
+	},
+	this_year: {
+		label: 'This year',
+		range: today => [
+			new Date(today.getFullYear(), 0, 1),
+			new Date(today.getFullYear(), 11, 31)
+		]
+	},
+	last_year: {
+		label: 'Last year',
+		range: today => [
+			new Date(today.getFullYear() - 1, 0, 1),
+			new Date(today.getFullYear() - 1, 11, 31)
+		]
+	},
+	days_ago: {
+		label: 'Days ago',
+		range: (today, days) => [dayAdd(today, -days), dayAdd(today, -days)]
+	}
+};
+
+/**
+ * Relative Resolve
+ *
+ * Converts a relative date search, {type: 'relative', value: preset}, with
+ * "days" for the "days_ago" preset, into a "between" search with concrete
+ * bounds in the format of the node's type. Dates get the first and last
+ * day, datetimes and timestamps get the first and last second
+ *
+ * @name relativeResolve
+ * @access public
+ * @param Object search The relative search
+ * @param String type The type of the node, 'date', 'datetime', or 'timestamp'
+ * @returns Object
+ */
+export function relativeResolve(search, type) {
+
+	// If the preset doesn't exist, there's nothing to resolve
+	if(!(search.value in relativeDates)) {
+		return search;
+	}
+
+	// Get today at midnight, and the days in the range
+	let oToday = new Date();
+	oToday.setHours(0, 0, 0, 0);
+	const lRange = relativeDates[search.value].range(
+		oToday, parseInt(search.days, 10) || 0
+	);
+
+	// The end of the range is the last second of the last day
+	const oEnd = new Date(lRange[1].getTime());
+	oEnd.setHours(23, 59, 59, 0);
+
+	// Format the bounds for the type
+	let lValue;
+	switch(type) {
+		case 'date':
+			lValue = [dateString(lRange[0]), dateString(oEnd)];
+			break;
+		case 'timestamp':
+			lValue = [
+				Math.floor(lRange[0].getTime() / 1000),
+				Math.floor(oEnd.getTime() / 1000)
+			];
+			break;
+		default:
+			lValue = [
+				dateString(lRange[0]) + ' 00:00:00',
+				dateString(oEnd) + ' 23:59:59'
+			];
+			break;
+	}
+
+	// Return the range
+	return {type: 'between', value: lValue};
+}
+
+/**
+ * Date String
+ *
+ * Returns the local date as YYYY-MM-DD
+ *
+ * @name dateString
+ * @access private
+ * @param Date date The date to convert
+ * @returns String
+ */
+function dateString(date) {
+	return date.getFullYear() + '-' +
+			String(date.getMonth() + 1).padStart(2, '0') + '-' +
+			String(date.getDate()).padStart(2, '0');
+}
+
+/**
+ * Day Add
+ *
+ * Returns a new date with the given number of days added
+ *
+ * @name dayAdd
+ * @access private
+ * @param Date date The date to start from
+ * @param Number days The days to add, negative to subtract
+ * @returns Date
+ */
+function dayAdd(date, days) {
+	return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
 /**
  * Select Base
  *
@@ -430,6 +604,8 @@ export class SelectRest extends SelectBase {
 // Default export
 const Shared = {
 	errorTree: errorTree,
+	relativeDates: relativeDates,
+	relativeResolve: relativeResolve,
 	SelectBase: SelectBase,
 	SelectCustom: SelectCustom,
 	SelectHash: SelectHash,
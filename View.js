@@ -0,0 +1,336 @@
+/**
+ * View
+ *
+ * Handles displaying a single record, read-only
+ *
+ * @author Chris Nasr <chris@ouroboroscoding.com>
+ * @copyright Ouroboros Coding Inc.
+ * @created 2026-10-19
+ */
+
+// Ouroboros
+import { isObject, ucfirst } from '@ouroboros/tools';
+import FormatOC from 'format-oc';
+
+// NPM modules
+import PropTypes from 'prop-types';
+import React, { useEffect, useState } from 'react';
+
+// Material UI
+import Box from '@mui/material/Box';
+import Grid from '@mui/material/Grid';
+import Typography from '@mui/material/Typography';
+
+// Components
+import Results from './Results';
+
+// Format modules
+import { SelectBase } from './Shared';
+
+/**
+ * Options Object
+ *
+ * Converts a list of options, either [key, label] pairs or plain values, into
+ * an object of labels by key
+ *
+ * @name optionsObject
+ * @access private
+ * @param Array options The list of options
+ * @returns Object
+ */
+function optionsObject(options) {
+	return options.reduce((o, m) =>
+		Object.assign(o, Array.isArray(m) ? {[m[0]]: m[1]} : {[m]: m})
+	, {});
+}
+
+/**
+ * View Child
+ *
+ * Displays the value of any kind of node, recursing into Parent, Array, and
+ * Hash nodes
+ *
+ * @name ViewChild
+ * @access private
+ * @param Object props Properties passed to the component
+ * @return React.Component
+ */
+function ViewChild(props) {
+
+	// If there's a custom processor for the path
+	if(props.path in props.custom) {
+		return props.custom[props.path](props.value, props.record);
+	}
+
+	// If there's no value
+	if(props.value === undefined || props.value === null) {
+		return <Typography className="value empty">{props.empty}</Typography>;
+	}
+
+	// Check what kind of node it is
+	switch(props.node.class()) {
+
+		case 'ArrayNode':
+			return (
+				<Box className="viewArray">
+					{Array.isArray(props.value) && props.value.map((m,i) =>
+						<Box key={i} className="element">
+							<ViewChild
+								{...props}
+								node={props.node.child()}
+								path={props.path + '.' + i}
+								value={m}
+							/>
+						</Box>
+					)}
+				</Box>
+			);
+
+		case 'HashNode':
+			return (
+				<Box className="viewHash">
+					{isObject(props.value) && Object.keys(props.value).map(k =>
+						<Box key={k} className="element flexColumns">
+							<Typography className="key flexStatic">{k}</Typography>
+							<Box className="flexGrow">
+								<ViewChild
+									{...props}
+									node={props.node.child()}
+									path={props.path + '.' + k}
+									value={props.value[k]}
+								/>
+							</Box>
+						</Box>
+					)}
+				</Box>
+			);
+
+		case 'Parent':
+			return (
+				<ViewParent
+					custom={props.custom}
+					empty={props.empty}
+					gridSizes={props.gridSizes}
+					gridSpacing={props.gridSpacing}
+					node={props.node}
+					path={props.path}
+					record={props.record}
+					value={isObject(props.value) ? props.value : {}}
+				/>
+			);
+
+		default:
+			return <ViewNode {...props} />;
+	}
+}
+
+// Valid props
+ViewChild.propTypes = {
+	custom: PropTypes.object.isRequired,
+	empty: PropTypes.string.isRequired,
+	gridSizes: PropTypes.object.isRequired,
+	gridSpacing: PropTypes.number.isRequired,
+	node: PropTypes.object.isRequired,
+	path: PropTypes.string.isRequired,
+	record: PropTypes.object.isRequired,
+	value: PropTypes.any
+}
+
+/**
+ * View Node
+ *
+ * Displays the value of a single Node formatted using the same renderers as
+ * Results
+ *
+ * @name ViewNode
+ * @access private
+ * @param Object props Properties passed to the component
+ * @return React.Component
+ */
+function ViewNode(props) {
+
+	// Get the react section of the node
+	const oReact = props.node.special('ui') || {};
+
+	// State
+	let [options, optionsSet] = useState(() => {
+		if(oReact.options) {
+			return oReact.options instanceof SelectBase ?
+				true :
+				optionsObject(oReact.options);
+		}
+		if(props.node.options && props.node.options()) {
+			return optionsObject(props.node.options());
+		}
+		return null;
+	});
+
+	// If the options are a dynamic SelectBase, track them
+	useEffect(() => {
+		if(oReact.options instanceof SelectBase) {
+			const callback = data => optionsSet(optionsObject(data || []));
+
+			// Get default data and add callback
+			callback(oReact.options.track(callback));
+			return () => oReact.options.track(callback, true);
+		}
+	}, [oReact.options]);
+
+	// Render
+	return (
+		<Box className={'value node_' + (oReact.type || props.node.type())}>
+			{Results.content(props.value, {
+				field: props.path,
+				options: options,
+				record: props.record,
+				type: oReact.type || props.node.type()
+			})}
+		</Box>
+	);
+}
+
+// Valid props
+ViewNode.propTypes = {
+	node: PropTypes.object.isRequired,
+	path: PropTypes.string.isRequired,
+	record: PropTypes.object.isRequired,
+	value: PropTypes.any
+}
+
+/**
+ * View Parent
+ *
+ * Displays a grid of labels and values for each node in a Parent
+ *
+ * @name ViewParent
+ * @access private
+ * @param Object props Properties passed to the component
+ * @return React.Component
+ */
+function ViewParent(props) {
+
+	// Get the React special section if there is one
+	const oReact = props.node.special('ui') || {};
+
+	// Get the order of the fields
+	const lOrder = props.fields ||
+					oReact.view ||
+					oReact.order ||
+					props.node.keys();
+
+	// Render
+	return (
+		<Box className={'viewParent' + (props.path ? ' _' + props.path : '')}>
+			{(props.path && oReact.title) &&
+				<Typography className="title" variant="h6">{oReact.title}</Typography>
+			}
+			<Grid container spacing={props.gridSpacing}>
+				{lOrder.map(k => {
+
+					// Get the node, its react section, and its path
+					const oChild = props.node.get(k);
+					const oChildReact = oChild.special('ui') || {};
+					const sPath = props.path ? props.path + '.' + k : k;
+
+					// Grid sizes, full width for anything complex
+					const gridSizes = props.gridSizes[sPath] || (
+						oChild.class() === 'Node' ?
+							(props.gridSizes.__default__ || {xs: 12, sm: 6, lg: 3}) :
+							{xs: 12}
+					);
+
+					// Render the label and value
+					return (
+						<Grid key={k} item {...gridSizes} className={'field _' + k}>
+							<Typography className="label">
+								{oChildReact.title || ucfirst(k.replace(/_/g, ' '))}
+							</Typography>
+							<ViewChild
+								custom={props.custom}
+								empty={props.empty}
+								gridSizes={props.gridSizes}
+								gridSpacing={props.gridSpacing}
+								node={oChild}
+								path={sPath}
+								record={props.record}
+								value={props.value[k]}
+							/>
+						</Grid>
+					);
+				})}
+			</Grid>
+		</Box>
+	);
+}
+
+// Valid props
+ViewParent.propTypes = {
+	custom: PropTypes.object.isRequired,
+	empty: PropTypes.string.isRequired,
+	fields: PropTypes.arrayOf(PropTypes.string),
+	gridSizes: PropTypes.object.isRequired,
+	gridSpacing: PropTypes.number.isRequired,
+	node: PropTypes.object.isRequired,
+	path: PropTypes.string.isRequired,
+	record: PropTypes.object.isRequired,
+	value: PropTypes.object.isRequired
+}
+
+/**
+ * View
+ *
+ * Displays a single record as a grid of labels and values, formatted the
+ * same way as Results
+ *
+ * @name View
+ * @access public
+ * @extends React.Component
+ */
+export default class View extends React.Component {
+
+	render() {
+		return (
+			<Box className={'view _' + this.props.tree._name}>
+				<ViewParent
+					custom={this.props.custom}
+					empty={this.props.empty}
+					fields={this.props.fields.length ? this.props.fields : undefined}
+					gridSizes={this.props.gridSizes}
+					gridSpacing={this.props.gridSpacing}
+					node={this.props.tree}
+					path=""
+					record={this.props.value}
+					value={this.props.value}
+				/>
+			</Box>
+		);
+	}
+}
+
+// Valid props
+View.propTypes = {
+	custom: PropTypes.objectOf(PropTypes.func),
+	empty: PropTypes.string,
+	fields: PropTypes.arrayOf(PropTypes.string),
+	gridSizes: PropTypes.objectOf(
+		PropTypes.exact({
+			xs: PropTypes.number,
+			sm: PropTypes.number,
+			md: PropTypes.number,
+			lg: PropTypes.number,
+			xl: PropTypes.number
+		})
+	),
+	gridSpacing: PropTypes.number,
+	tree: PropTypes.instanceOf(FormatOC.Tree).isRequired,
+	value: PropTypes.object.isRequired
+}
+
+// Default props
+View.defaultProps = {
+	custom: {},
+	empty: '',
+	fields: [],
+	gridSizes: {__default__: {xs: 12, sm: 6, lg: 3}},
+	gridSpacing: 2
+}
@@ -3,11 +3,13 @@ import ArrayNode from './ArrayNode';
 import Child from './Child';
 import Form from './Form';
 import HashNode from './HashNode';
+import Manage from './Manage';
 import { Node } from './Node';
 import Parent from './Parent';
 import Results from './Results';
 import Search from './Search';
 import Shared from './Shared';
+import View from './View';
 
 // Export default
 export {
@@ -15,9 +17,11 @@ export {
 	Child,
 	Form,
 	HashNode,
+	Manage,
 	Node,
 	Parent,
 	Results,
 	Search,
-	Shared
+	Shared,
+	View
 }